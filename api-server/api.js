@@ -1,11 +1,14 @@
 const createError = require('http-errors');
-const { Router } = require('express');
+const express = require('express');
 const Lobby = require('../classes/Lobby');
+const validators = require('../lib/validators');
+const tokensMatch = require('../lib/tokensMatch');
 const { getGuildCount, getGuildList } = require('../discord-bot/discord-bot');
 const { version = 'Unreleased' } = require('../package.json');
 
 // Initialize the server
-const router = Router();
+const router = express.Router();
+router.use(express.json());
 
 router.get(['/', '/server'], (req, res, next) => {
     Promise.all([getGuildCount(), Lobby.getLobbyCount()])
@@ -27,6 +30,111 @@ router.get('/server/lobbies', (req, res, next) => {
         .catch(error => next(error));
 })
 
+/**
+ * Generate middleware that rejects any request whose body doesn't match a schema component.
+ *
+ * @param {string} component - Name of the schema component.
+ * @returns {function(req, res, next): void}
+ */
+function validateBody(component) {
+    return (req, res, next) => {
+        try {
+            validators[component](req.body);
+            next();
+        } catch (error) {
+            next(clientError(error));
+        }
+    };
+}
+
+/**
+ * Send the current state of a lobby, after making sure it matches the schema.
+ *
+ * @param {Response} res
+ * @param {Lobby} lobby
+ */
+function sendLobby(res, lobby) {
+    const body = lobby.toAPI();
+    try {
+        validators.Lobby(body);
+    } catch (error) {
+        throw createError(500, error);
+    }
+    res.json(body);
+}
+
+/**
+ * Treat errors from lobby actions as the client's fault, unless they already have a status.
+ *
+ * @param {Error} error
+ * @returns {HttpError}
+ */
+function clientError(error) {
+    return createError.isHttpError(error) ? error : createError(400, error);
+}
+
+// Look up the lobby for any path with a connect code, and make sure the request is allowed to use it.
+router.param('connectCode', (req, res, next, connectCode) => {
+    Lobby.findByConnectCode(connectCode)
+        .then(lobby => {
+            if (!lobby) throw createError(404, "No lobby matches that connect code.");
+            const [, token] = req.get('Authorization')?.match(/^Bearer (.+)$/) ?? [];
+            if (!tokensMatch(token, lobby.apiToken)) {
+                throw createError(401, "A valid API token is required to access this lobby.");
+            }
+            req.lobby = lobby;
+            next();
+        })
+        .catch(error => next(error));
+});
+
+router.get('/lobbies/:connectCode', (req, res) => {
+    sendLobby(res, req.lobby);
+});
+
+router.post('/lobbies/:connectCode/phase', validateBody('PhaseUpdate'), (req, res, next) => {
+    const { lobby, body: { phase } } = req;
+    lobby.transition(phase)
+        .then(() => sendLobby(res, lobby))
+        .catch(error => next(clientError(error)));
+});
+
+router.post('/lobbies/:connectCode/players/:name/kill', (req, res, next) => {
+    const { lobby, params: { name } } = req;
+    const player = lobby.getAmongUsPlayer(name);
+    if (!player) return next(createError(404, "No player in the lobby has that name."));
+
+    // Use the same methods as the bot commands for Discord users, or the capture for everyone else.
+    const kill = player.guildMember ? lobby.guildMemberKill(player.guildMember) : lobby.amongUsKill({ name });
+    kill.then(() => sendLobby(res, lobby))
+        .catch(error => next(clientError(error)));
+});
+
+router.post('/lobbies/:connectCode/players/:name/revive', (req, res, next) => {
+    const { lobby, params: { name } } = req;
+    const player = lobby.getAmongUsPlayer(name);
+    if (!player) return next(createError(404, "No player in the lobby has that name."));
+    if (!player.guildMember) return next(createError(400, "Only Discord users can be revived manually."));
+
+    lobby.guildMemberRevive(player.guildMember)
+        .then(() => sendLobby(res, lobby))
+        .catch(error => next(clientError(error)));
+});
+
+router.put('/lobbies/:connectCode/room', validateBody('Room'), (req, res, next) => {
+    const { lobby, body: { code, region } } = req;
+    lobby.updateRoom({ code, region })
+        .then(() => sendLobby(res, lobby))
+        .catch(error => next(clientError(error)));
+});
+
+router.delete('/lobbies/:connectCode/room', (req, res, next) => {
+    const { lobby } = req;
+    lobby.updateRoom(null)
+        .then(() => sendLobby(res, lobby))
+        .catch(error => next(clientError(error)));
+});
+
 router.use((req, res, next) => {
     next(createError(404, "No such API endpoint."));
 });
@@ -34,7 +142,7 @@ router.use((req, res, next) => {
 router.use((error, req, res, next) => {
     if (!createError.isHttpError(error)) error = createError(error);
     console.error(error);
-    res.status(error.status).json(error);
+    res.status(error.status).json({ ...error, message: error.expose ? error.message : undefined });
 });
 
 module.exports = router;
\ No newline at end of file
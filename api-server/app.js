@@ -1,4 +1,5 @@
 
+const path = require('path');
 const createError = require('http-errors');
 const express = require('express');
 const swaggerUI = require('swagger-ui-express');
@@ -6,6 +7,9 @@ const swaggerUI = require('swagger-ui-express');
 // Initialize the app
 const app = express();
 
+// Serve the lobby dashboard.
+app.use('/dashboard', express.static(path.join(__dirname, '../dashboard')));
+
 // Serve swagger UI/
 app.use(swaggerUI.serve);
 app.get('/', swaggerUI.setup(require('../lib/loadSchema')));
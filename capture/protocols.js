@@ -0,0 +1,180 @@
+/**
+ * The capture releases page, for downloading compatible versions.
+ */
+const CAPTURE_RELEASES = 'https://github.com/denverquane/amonguscapture/releases';
+
+const GAME_OVER_REASONS = [
+    { reason: 'Crewmates won by vote', winners: 'Crewmates' },
+    { reason: 'Crewmates won by completing tasks', winners: 'Crewmates' },
+    { reason: 'Impostors won by vote', winners: 'Impostors' },
+    { reason: 'Impostors won by kills', winners: 'Impostors' },
+    { reason: 'Impostors won by sabotage', winners: 'Impostors' },
+    // The capture's `GameOverReason` numbers impostors disconnecting (a crew win) before the crew disconnecting.
+    { reason: 'Crewmates won because the impostors disconnected', winners: 'Crewmates' },
+    { reason: 'Impostors won because the crewmates disconnected', winners: 'Impostors' }
+];
+
+/**
+ * Look up a value sent by the capture as an index into a list.
+ *
+ * @param {string[]} list
+ * @param {number} index
+ * @param {string} name - Name of the list, for error messages.
+ * @returns {*}
+ */
+function lookup(list, index, name) {
+    if (!list.hasOwnProperty(index)) throw new Error(`Unknown ${name} for this capture version: ${index}`);
+    return list[index];
+}
+
+/**
+ * Compare two version strings, like `2.4.2`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative if `a` is older than `b`, positive if it's newer, or zero if they're the same.
+ */
+function compareVersions(a, b) {
+    const [partsA, partsB] = [a, b].map(version => version.split('.').map(part => parseInt(part) || 0));
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+        if (difference) return difference;
+    }
+    return 0;
+}
+
+/**
+ * The messages sent by a range of capture releases, and how to translate them for the lobby.
+ */
+class CaptureProtocol {
+    /**
+     * @param {object} options
+     * @param {string} options.version - Oldest capture release that uses this protocol.
+     * @param {string[]} options.events - Capture events this protocol sends, besides the connect code.
+     * @param {string[]} options.states - Game states, in the order the capture numbers them.
+     * @param {string[]} options.actions - Player actions, in the order the capture numbers them.
+     * @param {string[]} options.colors - Player colors, in the order the capture numbers them.
+     * @param {string[]} options.regions - Server regions, in the order the capture numbers them.
+     */
+    constructor({ version, events, states, actions, colors, regions }) {
+        this.version = version;
+        this.events = events;
+        this.states = states;
+        this.actions = actions;
+        this.colors = colors;
+        this.regions = regions;
+        Object.freeze(this);
+    }
+
+    /**
+     * Identifies whether captures using this protocol send an event.
+     *
+     * @param {string} event
+     * @returns {boolean}
+     */
+    supports(event) {
+        return this.events.includes(event);
+    }
+
+    /**
+     * @param {number} index - Payload of a `state` event.
+     * @returns {string}
+     */
+    parseState(index) {
+        return lookup(this.states, index, 'state');
+    }
+
+    /**
+     * @param {object} payload - Payload of a `lobby` event.
+     * @returns {{code: string, region: string}}
+     */
+    parseLobby({ LobbyCode, Region }) {
+        return { code: LobbyCode, region: lookup(this.regions, Region, 'region') };
+    }
+
+    /**
+     * @param {object} payload - Payload of a `player` event.
+     * @returns {{action: string, name: string, color: string, dead: boolean, disconnected: boolean}}
+     */
+    parsePlayer({ Action, Name, IsDead, Disconnected, Color }) {
+        return {
+            action: lookup(this.actions, Action, 'action'),
+            name: Name,
+            color: Color === undefined ? undefined : lookup(this.colors, Color, 'color'),
+            dead: Boolean(IsDead),
+            disconnected: Boolean(Disconnected)
+        };
+    }
+
+    /**
+     * @param {object} payload - Payload of a `gameover` event.
+     * @returns {{reason: string, winners: string, players: {name: string, isImpostor: boolean}[]}}
+     */
+    parseGameOver({ GameOverReason, PlayerInfos = [] }) {
+        const { reason, winners } = lookup(GAME_OVER_REASONS, GameOverReason, 'game over reason');
+        const players = PlayerInfos.map(({ Name, IsImpostor }) => ({ name: Name, isImpostor: Boolean(IsImpostor) }));
+        return { reason, winners, players };
+    }
+
+    /**
+     * @param {object} payload - Payload of a `taskProgress` event.
+     * @returns {{completed: number, total: number}}
+     */
+    parseTaskProgress({ TasksCompleted, TotalTasks }) {
+        return { completed: TasksCompleted, total: TotalTasks };
+    }
+}
+
+const ORIGINAL = new CaptureProtocol({
+    version: '2.4.2',
+    events: ['lobby', 'state', 'player'],
+    states: ['LOBBY', 'TASKS', 'DISCUSSION', 'MENU'],
+    actions: ['JOIN', 'LEAVE', 'KILL', 'COLOR_CHANGE', 'FORCE_UPDATE', 'DISCONNECT', 'EXILE'],
+    colors: ['Red', 'Blue', 'Green', 'Pink', 'Orange', 'Yellow', 'Black', 'White', 'Purple', 'Brown', 'Cyan', 'Lime'],
+    regions: ['North America', 'Asia', 'Europe']
+});
+
+const GAME_OVER = new CaptureProtocol({
+    version: '2.5.0',
+    events: [...ORIGINAL.events, 'gameover', 'taskProgress'],
+    states: [...ORIGINAL.states, 'ENDED'],
+    actions: ORIGINAL.actions,
+    colors: [...ORIGINAL.colors, 'Maroon', 'Rose', 'Banana', 'Gray', 'Tan', 'Coral'],
+    regions: [...ORIGINAL.regions, 'Custom']
+});
+
+/**
+ * Every supported protocol, oldest first.
+ *
+ * This is the only place that needs updating when a new capture release changes the protocol.
+ * @type {CaptureProtocol[]}
+ */
+const PROTOCOLS = [ORIGINAL, GAME_OVER];
+
+/**
+ * Pick the protocol to use with a capture client.
+ *
+ * Captures can declare their version when connecting. The newest protocol that's no newer than that version is used.
+ * Captures that don't declare a version (like 2.4.2) get the original protocol.
+ *
+ * @param {string} [version] - Version of the capture client.
+ * @returns {CaptureProtocol}
+ */
+function negotiate(version) {
+    if (typeof version !== 'string' || !version.match(/^\d+(\.\d+)*$/)) return ORIGINAL;
+    return PROTOCOLS.filter(protocol => compareVersions(protocol.version, version) <= 0).pop() ?? ORIGINAL;
+}
+
+/**
+ * Describes the compatible capture versions, for anyone setting up a capture.
+ * @returns {string}
+ */
+function describeCompatibleVersions() {
+    return `${PROTOCOLS[0].version} or newer ([Download](${CAPTURE_RELEASES}))`;
+}
+
+module.exports = {
+    PROTOCOLS,
+    negotiate,
+    describeCompatibleVersions
+};
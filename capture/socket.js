@@ -2,71 +2,162 @@ const { server } = require('../lib/server');
 const io = require('socket.io')(server);
 const Lobby = require('../classes/Lobby');
 const Room = require('../classes/Room');
-
-const ACTIONS = [
-    'JOIN',
-    'LEAVE',
-    'KILL',
-    'COLOR_CHANGE',
-    'FORCE_UPDATE',
-    'DISCONNECT',
-    'EXILE'
-]
+const validators = require('../lib/validators');
+const { negotiate } = require('./protocols');
 
 const STATE_MAP = {
     LOBBY: Lobby.PHASE.INTERMISSION,
     TASKS: Lobby.PHASE.WORKING,
     DISCUSSION: Lobby.PHASE.MEETING,
-    MENU: Lobby.PHASE.MENU
+    MENU: Lobby.PHASE.MENU,
+    ENDED: Lobby.PHASE.INTERMISSION
+}
+
+/**
+ * Parse and validate the payload of a capture event.
+ *
+ * The capture sends most payloads as JSON strings, so those are parsed before validating.
+ *
+ * @param {string} component - Name of the schema component the payload should match.
+ * @param {string|*} data - Raw payload from the capture.
+ * @returns {*} - The parsed payload.
+ */
+function parsePayload(component, data) {
+    let payload = data;
+    if (typeof data === 'string') {
+        try {
+            payload = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Invalid ${component}: Couldn't parse ${JSON.stringify(data)}`);
+        }
+    }
+    validators[component](payload);
+    return payload;
+}
+
+/**
+ * Report an invalid payload back to the capture client that sent it.
+ *
+ * @param {SocketIO.Socket} client
+ * @param {string} event - Name of the event with the invalid payload.
+ * @param {Error} error
+ */
+function reportInvalidPayload(client, event, error) {
+    console.error(`SocketIO: Invalid '${event}' payload for ${client.connectCode}:`, error.message);
+    client.emit('invalidPayload', { event, message: error.message });
+}
+
+/**
+ * The capture clients connected to each lobby, mapped by connect code.
+ *
+ * The first client for a lobby is the primary, which controls the lobby. Any others are backups, whose updates are
+ * ignored until the primary disconnects.
+ * @type {Map<string, SocketIO.Socket[]>}
+ */
+const clientsByConnectCode = new Map();
+
+/**
+ * Find the lobby that a capture client controls. Backup clients don't control their lobby until they're promoted.
+ *
+ * @param {SocketIO.Socket} client
+ * @returns {Promise<Lobby>}
+ */
+async function findControlledLobby(client) {
+    const [primary] = clientsByConnectCode.get(client.connectCode) ?? [];
+    if (primary !== client) return null;
+    return Lobby.findByConnectCode(client.connectCode);
 }
 
-const STATES = [
-    'LOBBY',
-    'TASKS',
-    'DISCUSSION',
-    'MENU'
-]
-
-const COLORS = [
-    'Red',
-    'Blue',
-    'Green',
-    'Pink',
-    'Orange',
-    'Yellow',
-    'Black',
-    'White',
-    'Purple',
-    'Brown',
-    'Cyan',
-    'Lime'
-]
-
-const REGIONS = [
-    'North America',
-    'Asia',
-    'Europe'
-]
+/**
+ * Refuse a capture client's connection, letting it know why.
+ *
+ * @param {SocketIO.Socket} client
+ * @param {string} message
+ */
+function rejectConnection(client, message) {
+    console.log(`SocketIO: Rejected connection for ${client.connectCode}: ${message}`);
+    client.emit('connectionRejected', { message });
+    client.disconnect(true);
+}
+
+/**
+ * Switch the protocol used with a capture client, and let it know which one was picked.
+ *
+ * @param {SocketIO.Socket} client
+ * @param {string} [version] - Version the capture client declared.
+ */
+function setProtocol(client, version) {
+    client.protocol = negotiate(version);
+    client.emit('protocol', { version: client.protocol.version });
+}
 
 io.on('connection', client => {
-    client.on('connectCode', connectCode => {{
+    // Captures can declare their version in the connection query, or with a `version` event.
+    setProtocol(client, client.handshake.query.version);
+    client.on('version', version => setProtocol(client, version));
+
+    // The capture token can be sent with the connect code, or in the connection query.
+    client.on('connectCode', (connectCode, token = client.handshake.query.token) => {{
+        try {
+            validators.CaptureConnectCode(connectCode);
+        } catch (error) {
+            return reportInvalidPayload(client, 'connectCode', error);
+        }
+
+        // Each client can only connect once.
+        if (client.connectCode) return;
+
         client.connectCode = connectCode;
         Lobby.findByConnectCode(connectCode)
             .then(async lobby => {
-                if (!lobby) throw new Error(`No matching lobby for connect code: ${connectCode}`)
-                await lobby.updateAutomationConnection(true);
-                console.log(`SocketIO: Connected code: ${connectCode}`);
+                if (!lobby) return rejectConnection(client, "There's no lobby with that connect code.");
+                if (lobby.connectCodeExpired) {
+                    return rejectConnection(client, "That connect code has expired. Ask the host for a new one.");
+                }
+                if (!await lobby.verifyCaptureToken(token)) {
+                    return rejectConnection(client, "That capture token isn't valid for this lobby.");
+                }
+
+                // Add the client. The first one to connect is the primary.
+                const clients = clientsByConnectCode.get(connectCode) ?? [];
+                clients.push(client);
+                clientsByConnectCode.set(connectCode, clients);
+
+                if (clients[0] === client) {
+                    client.emit('primary');
+                    await lobby.updateAutomationConnection(true);
+                    console.log(`SocketIO: Connected code: ${connectCode}`);
+                }
+                else {
+                    client.emit('standby');
+                    console.log(`SocketIO: Connected backup for code: ${connectCode} (${clients.length - 1} backups)`);
+                }
             })
             .catch(error => console.error(error));
     }});
 
     client.on('lobby', data => {
+        // Parse the payload.
+        let payload;
+        try {
+            payload = parsePayload('CaptureLobby', data);
+        } catch (error) {
+            return reportInvalidPayload(client, 'lobby', error);
+        }
+
+        // Translate the payload.
+        let room;
+        try {
+            room = client.protocol.parseLobby(payload);
+        } catch (error) {
+            return reportInvalidPayload(client, 'lobby', error);
+        }
+
         // Get the lobby
         const { connectCode } = client;
-        const {LobbyCode: code, Region} = JSON.parse(data);
-        const region = REGIONS[Region];
+        const { code, region } = room;
 
-        Lobby.findByConnectCode(connectCode)
+        findControlledLobby(client)
             .then(async lobby => {
                 if (!lobby) return;
                 console.log(`SocketIO: Lobby update for ${connectCode}: ${code}`);
@@ -78,13 +169,26 @@ io.on('connection', client => {
             .catch(error => console.error(error));
     })
 
-    client.on('state', index => {
-        const state = STATES[index]
+    client.on('state', data => {
+        // Parse the payload.
+        let index;
+        try {
+            index = parsePayload('CaptureState', data);
+        } catch (error) {
+            return reportInvalidPayload(client, 'state', error);
+        }
+
+        let state;
+        try {
+            state = client.protocol.parseState(index);
+        } catch (error) {
+            return reportInvalidPayload(client, 'state', error);
+        }
         const targetPhase = STATE_MAP[state];
 
         // Get the lobby
         const { connectCode } = client;
-        Lobby.findByConnectCode(connectCode)
+        findControlledLobby(client)
             .then(async lobby => {
                 if (!lobby) return;
                 console.log(`SocketIO: State update for ${connectCode}: ${state}`);
@@ -96,25 +200,32 @@ io.on('connection', client => {
     });
 
     client.on('player', data => {
-        // Get the lobby
-        const { connectCode } = client;
-        const {Action, Name, IsDead, Disconnected, Color} = JSON.parse(data);
+        // Parse the payload.
+        let payload;
+        try {
+            payload = parsePayload('CapturePlayer', data);
+        } catch (error) {
+            return reportInvalidPayload(client, 'player', error);
+        }
+
+        // Translate the payload.
+        let update;
+        try {
+            update = client.protocol.parsePlayer(payload);
+        } catch (error) {
+            return reportInvalidPayload(client, 'player', error);
+        }
 
         // Ignore nameless updates.
-        if (!Name) return;
+        if (!update.name) return;
 
-        Lobby.findByConnectCode(connectCode)
+        // Get the lobby
+        const { connectCode } = client;
+
+        findControlledLobby(client)
             .then(async lobby => {
                 if (!lobby) return;
 
-                // Post an update.
-                const update = {
-                    action: ACTIONS[Action],
-                    name: Name,
-                    color: COLORS[Color],
-                    dead: Boolean(IsDead),
-                    disconnected: Boolean(Disconnected)
-                }
                 console.log(`SocketIO: Player update for ${connectCode}: ${JSON.stringify(update)}`);
                 
                 // Process the action
@@ -125,11 +236,13 @@ io.on('connection', client => {
                         await lobby.amongUsJoin(update);
                         break;
                     case 'LEAVE':
-                    case 'DISCONNECT':
-                        // For a LEAVE or DISCONNECT, remove the player.
-                        // TODO Handle disconnects differently?
+                        // For a LEAVE, remove the player.
                         await lobby.amongUsLeave(update);
                         break;
+                    case 'DISCONNECT':
+                        // For a DISCONNECT, keep the player for a while in case they reconnect.
+                        await lobby.amongUsDisconnect(update);
+                        break;
                     case 'KILL':
                         await lobby.amongUsKill(update);
                         break;
@@ -140,15 +253,78 @@ io.on('connection', client => {
                         await lobby.amongUsForceUpdate(update);
                         break
                     default:
-                        throw new Error(`Unknown Action value: ${Action}`);
+                        throw new Error(`Unknown Action value: ${update.action}`);
                 }
                 
             })
             .catch(error => console.error(error));
     });
 
+    client.on('gameover', data => {
+        // Only newer captures report the end of the game.
+        if (!client.protocol.supports('gameover')) return;
+
+        // Parse and translate the payload.
+        let results;
+        try {
+            results = client.protocol.parseGameOver(parsePayload('CaptureGameOver', data));
+        } catch (error) {
+            return reportInvalidPayload(client, 'gameover', error);
+        }
+
+        // Get the lobby
+        const { connectCode } = client;
+        findControlledLobby(client)
+            .then(async lobby => {
+                if (!lobby) return;
+                console.log(`SocketIO: Game over for ${connectCode}: ${results.reason}`);
+                await lobby.amongUsGameOver(results);
+            })
+            .catch(error => console.error(error));
+    });
+
+    client.on('taskProgress', data => {
+        // Only newer captures report task progress.
+        if (!client.protocol.supports('taskProgress')) return;
+
+        // Parse and translate the payload.
+        let progress;
+        try {
+            progress = client.protocol.parseTaskProgress(parsePayload('CaptureTaskProgress', data));
+        } catch (error) {
+            return reportInvalidPayload(client, 'taskProgress', error);
+        }
+
+        // Get the lobby
+        const { connectCode } = client;
+        findControlledLobby(client)
+            .then(async lobby => {
+                if (!lobby) return;
+                await lobby.amongUsTaskProgress(progress);
+            })
+            .catch(error => console.error(error));
+    });
+
     client.on('disconnect', () => {
         const { connectCode } = client;
+
+        // Remove the client, if it was connected to a lobby.
+        const clients = clientsByConnectCode.get(connectCode) ?? [];
+        const index = clients.indexOf(client);
+        if (index < 0) return;
+        clients.splice(index, 1);
+        if (!clients.length) clientsByConnectCode.delete(connectCode);
+
+        // Losing a backup doesn't affect the lobby.
+        if (index > 0) return console.log(`SocketIO: Disconnected backup for code: ${connectCode}`);
+
+        // If the primary disconnected, fail over to the oldest backup.
+        const [backup] = clients;
+        if (backup) {
+            backup.emit('primary');
+            return console.log(`SocketIO: Failed over to backup for code: ${connectCode}`);
+        }
+
         Lobby.findByConnectCode(connectCode)
             .then(async lobby => {
                 if (!lobby) return;
@@ -159,4 +335,12 @@ io.on('connection', client => {
     });
 });
 
+// When a lobby's connect code is regenerated, disconnect every capture using the old one.
+Lobby.events.on('connectCodeChanged', (lobby, { previousConnectCode }) => {
+    const clients = clientsByConnectCode.get(previousConnectCode) ?? [];
+    clientsByConnectCode.delete(previousConnectCode);
+    clients.forEach(client => rejectConnection(client, "The connect code for this lobby was regenerated."));
+    if (clients.length) lobby.updateAutomationConnection(false).catch(error => console.error(error));
+});
+
 module.exports = io;
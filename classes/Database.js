@@ -60,6 +60,18 @@ class Database {
         return results.rows.map(row => row.doc);
     }
 
+    /**
+     * Find all the documents matching a selector.
+     *
+     * @param {object} selector - Mango selector to match documents against.
+     * @returns {Promise<object[]>}
+     */
+    async find(selector){
+        await this.ready;
+        const results = await this._db.find({ selector, limit: Number.MAX_SAFE_INTEGER });
+        return results.docs;
+    }
+
     /**
      * Set a document in the database.
      *
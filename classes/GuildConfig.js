@@ -1,6 +1,7 @@
 const deepEquals = require('deep-equal');
 const NodeCache = require('node-cache');
 const Database = require('./Database');
+const onShutdown = require('../lib/shutdown');
 const database = new Database('guilds');
 
 /**
@@ -16,6 +17,64 @@ const BOOLEAN_OPTIONS = ['on', 'off', 'true', 'false'];
 const BOOLEAN_TRUE_PATTERN = /^(:?1|t(?:rue)?|y(?:es)?|on)$/i;
 const BOOLEAN_FALSE_PATTERN = /^(:?0|f(?:alse)?|n(?:O)?|off)$/i;
 
+/**
+ * Commands that can be restricted to the lobby host and moderators.
+ */
+const RESTRICTABLE_COMMANDS = ['intermission', 'work', 'meet', 'kill', 'revive', 'eject', 'stop', 'room'];
+
+/**
+ * The things that can be done with a setting, and the words that pick them.
+ */
+const ACTIONS = [
+    { value: 'get', aliases: ['g'] },
+    { value: 'set', aliases: ['s'] },
+    { value: 'reset', aliases: ['delete', 'r'] }
+];
+
+/**
+ * Generates a setter for settings that are either on or off.
+ *
+ * @param {string} name - Name of the setting, for error messages.
+ * @returns {function(string): boolean}
+ */
+function booleanSetter(name) {
+    return (value) => {
+        if (value.match(BOOLEAN_TRUE_PATTERN)) return true;
+        if (value.match(BOOLEAN_FALSE_PATTERN)) return false;
+        throw new Error(`${name} must be either \`on\` or \`off\``);
+    };
+}
+
+/**
+ * Generates a setter for settings that hold a Discord role.
+ *
+ * @param {string} name - Name of the role, for error messages.
+ * @returns {function(string): string}
+ */
+function roleSetter(name) {
+    return (value) => {
+        if (value.match(/^none$/i)) return 'none';
+        const match = value.trim().match(/^(?:<@&)?(\d+)>?$/);
+        if (!match) throw new Error(`The ${name} role must be an at-mention of a role, or \`none\`.`);
+        return match[1];
+    };
+}
+
+/**
+ * Generates a setter for settings that hold a Discord channel.
+ *
+ * @param {string} name - Name of the channel, for error messages.
+ * @returns {function(string): string}
+ */
+function channelSetter(name) {
+    return (value) => {
+        if (value.match(/^none$/i)) return 'none';
+        const match = value.trim().match(/^(?:<#)?(\d+)>?$/);
+        if (!match) throw new Error(`The ${name} channel must be a channel mention or ID, or \`none\`.`);
+        return match[1];
+    };
+}
+
 // TODO Convert this to a map of class instances.
 const SETTINGS = {
     prefix: {
@@ -37,20 +96,143 @@ const SETTINGS = {
             "if their saved in-game name matches an unlinked player from the capture."
         ].join(' '),
         options: BOOLEAN_OPTIONS,
-        setter: (value) => {
-            if (value.match(BOOLEAN_TRUE_PATTERN)) return true;
-            if (value.match(BOOLEAN_FALSE_PATTERN)) return false;
-            throw new Error("Autojoin must be either `on` or `off`");
-        }
+        setter: booleanSetter('Autojoin')
     },
     speech: {
         defaultValue: true,
         description: "When enabled, the bot will play spoken announcements into the voice channel.",
         options: BOOLEAN_OPTIONS,
+        setter: booleanSetter('Speech')
+    },
+    spectators: {
+        defaultValue: 'mute',
+        description: [
+            "How spectators are treated during games.",
+            "`mute` mutes them, `deafen` also deafens them while the crew are working, and `none` leaves them alone."
+        ].join(' '),
+        options: ['mute', 'deafen', 'none'],
         setter: (value) => {
-            if (value.match(BOOLEAN_TRUE_PATTERN)) return true;
-            if (value.match(BOOLEAN_FALSE_PATTERN)) return false;
-            throw new Error("Speech must be either `on` or `off`");
+            const spectators = value.trim().toLowerCase();
+            if (!['mute', 'deafen', 'none'].includes(spectators)) {
+                throw new Error("Spectators must be either `mute`, `deafen`, or `none`");
+            }
+            return spectators;
+        }
+    },
+    'deafen-workers': {
+        defaultValue: true,
+        description: [
+            "When enabled, living players are deafened while working, as well as muted.",
+            "When disabled, they're only muted, so they can hear the dead."
+        ].join(' '),
+        options: BOOLEAN_OPTIONS,
+        setter: booleanSetter('Deafen-workers')
+    },
+    'mute-waiting': {
+        defaultValue: false,
+        description: [
+            "When enabled, players waiting for the next game are muted while the crew are working,",
+            "so they can't talk to the dead."
+        ].join(' '),
+        options: BOOLEAN_OPTIONS,
+        setter: booleanSetter('Mute-waiting')
+    },
+    'dead-hear-meetings': {
+        defaultValue: true,
+        description: "When enabled, dead players can hear the living during meetings. Otherwise, they're deafened.",
+        options: BOOLEAN_OPTIONS,
+        setter: booleanSetter('Dead-hear-meetings')
+    },
+    'ghost-channel': {
+        defaultValue: 'none',
+        description: [
+            "A voice channel that dead players are moved into while the game is running, so they can talk freely.",
+            "They're moved back at intermission. Set it with a channel mention or ID, or `none`."
+        ].join(' '),
+        setter: channelSetter('ghost')
+    },
+    'reaction-controls': {
+        defaultValue: false,
+        description: [
+            "When enabled, players can also control the lobby by reacting to its info post:",
+            "mark themselves dead, call a meeting, start working, or leave."
+        ].join(' '),
+        options: BOOLEAN_OPTIONS,
+        setter: booleanSetter('Reaction-controls')
+    },
+    'capture-token': {
+        defaultValue: false,
+        description: [
+            "When enabled, captures must provide the secret token from the host's connect link,",
+            "as well as the connect code, so nobody else can control the lobby."
+        ].join(' '),
+        options: BOOLEAN_OPTIONS,
+        setter: booleanSetter('Capture-token')
+    },
+    'mute-mode': {
+        defaultValue: 'member',
+        description: [
+            "How players are muted.",
+            "`member` server-mutes each player individually.",
+            "`overwrites` denies the _Speak_ permission in the voice channel instead, which changes everyone at once",
+            "but requires the _Manage Permissions_ permission. (Deafening is always done individually.)"
+        ].join(' '),
+        options: ['member', 'overwrites'],
+        setter: (value) => {
+            const muteMode = value.trim().toLowerCase();
+            if (!['member', 'overwrites'].includes(muteMode)) {
+                throw new Error("Mute-mode must be either `member` or `overwrites`");
+            }
+            return muteMode;
+        }
+    },
+    'info-post': {
+        defaultValue: 'repost',
+        description: [
+            "How the lobby info is updated.",
+            "`repost` posts a new message and deletes the old one for every change.",
+            "`edit` edits the existing message instead, only reposting once it's been buried by other messages."
+        ].join(' '),
+        options: ['repost', 'edit'],
+        setter: (value) => {
+            const infoPost = value.trim().toLowerCase();
+            if (!['repost', 'edit'].includes(infoPost)) {
+                throw new Error("Info-post must be either `repost` or `edit`");
+            }
+            return infoPost;
+        }
+    },
+    moderator: {
+        defaultValue: 'none',
+        description: [
+            "A role whose members can use restricted commands in any lobby, as if they were the host.",
+            "Set it with an at-mention of the role, or `none`."
+        ].join(' '),
+        setter: roleSetter('moderator')
+    },
+    admin: {
+        defaultValue: 'none',
+        description: [
+            "A role whose members can change these settings.",
+            "Members with the _Manage Server_ permission can always change them.",
+            "Set it with an at-mention of the role, or `none`."
+        ].join(' '),
+        setter: roleSetter('admin')
+    },
+    restricted: {
+        defaultValue: 'none',
+        description: [
+            "Commands that only the lobby host and moderators can use.",
+            "To restrict multiple commands, separate them with spaces or `|`. Use `all` for every option, or `none`."
+        ].join(' '),
+        options: [...RESTRICTABLE_COMMANDS, 'all', 'none'],
+        setter: (value) => {
+            const commands = value.toLowerCase().trim().split(/[\s|]+/g);
+            if (commands.includes('none')) return 'none';
+            if (commands.includes('all')) return RESTRICTABLE_COMMANDS.join('|');
+            const invalid = commands.filter(command => !RESTRICTABLE_COMMANDS.includes(command));
+            if (invalid.length) throw new Error(`These commands can't be restricted: ${invalid.join(', ')}`);
+            return commands.join('|');
         }
     }
 };
@@ -66,6 +248,18 @@ class GuildConfig {
         return SETTINGS;
     }
 
+    static get ACTIONS() {
+        return ACTIONS;
+    }
+
+    /**
+     * Immediately save every cached guild config with unsaved changes.
+     * @returns {Promise<void>}
+     */
+    static async flushAll() {
+        await Promise.all(cache.keys().map(key => cache.get(key)?.flushSave()));
+    }
+
     static async load(guildId) {
         // Check the cache first.
         const cachedGuild = await cache.get(guildId);
@@ -86,6 +280,9 @@ class GuildConfig {
         // Make sure there's a config property.
         if (!document.config) document.config = {};
 
+        // Make sure there's a map of game channels. (Voice channel IDs to text channel IDs.)
+        if (!document.gameChannels) document.gameChannels = {};
+
         // Add this to the cache.
         cache.set(this.id, this);
     }
@@ -130,6 +327,69 @@ class GuildConfig {
         return this.get('prefix').split(/\|/g)[0];
     }
 
+    /**
+     * A helper method for getting the moderator role id, if any.
+     * @returns {string|undefined}
+     */
+    get moderatorRoleId() {
+        const moderator = this.get('moderator');
+        return moderator === 'none' ? undefined : moderator;
+    }
+
+    /**
+     * A helper method for getting the admin role id, if any.
+     * @returns {string|undefined}
+     */
+    get adminRoleId() {
+        const admin = this.get('admin');
+        return admin === 'none' ? undefined : admin;
+    }
+
+    /**
+     * A helper method for checking whether a command is restricted to the lobby host and moderators.
+     * @param {string} command - The name of the command.
+     * @returns {boolean}
+     */
+    isRestricted(command) {
+        return this.get('restricted').split(/\|/g).includes(command);
+    }
+
+    /**
+     * All the game channels, as a map of voice channel IDs to the text channel IDs they post in.
+     * @returns {Object<string, string>}
+     */
+    get gameChannels() {
+        return { ...this._document.gameChannels };
+    }
+
+    /**
+     * Get the text channel that a game voice channel posts in, if it's a game channel.
+     *
+     * @param {string} voiceChannelId
+     * @returns {string|undefined}
+     */
+    getGameTextChannelId(voiceChannelId) {
+        return this._document.gameChannels[voiceChannelId];
+    }
+
+    /**
+     * Make a voice channel into a game channel, which will automatically start lobbies.
+     *
+     * @param {string} voiceChannelId - The voice channel to start lobbies in.
+     * @param {string} textChannelId - The text channel to post lobby updates in.
+     */
+    setGameChannel(voiceChannelId, textChannelId) {
+        if (this._document.gameChannels[voiceChannelId] === textChannelId) return;
+        this._document.gameChannels[voiceChannelId] = textChannelId;
+        this.scheduleSave();
+    }
+
+    removeGameChannel(voiceChannelId) {
+        if (!this._document.gameChannels.hasOwnProperty(voiceChannelId)) return;
+        delete this._document.gameChannels[voiceChannelId];
+        this.scheduleSave();
+    }
+
     scheduleSave() {
         // Reset any existing timeout, to reduce database load.
         if (this._nextSaveTimeout) {
@@ -143,10 +403,24 @@ class GuildConfig {
         }, 1500);
     }
 
+    /**
+     * Immediately save any changes waiting on a scheduled save.
+     * @returns {Promise<void>}
+     */
+    async flushSave() {
+        if (!this._nextSaveTimeout) return;
+        clearTimeout(this._nextSaveTimeout);
+        delete this._nextSaveTimeout;
+        await this.save();
+    }
+
     async save() {
         const updates = await database.set(this._document).catch(error => console.error(error));
         if (updates) this._document._rev = updates.rev;
     }
 }
 
+// Save any pending changes before shutting down.
+onShutdown(() => GuildConfig.flushAll());
+
 module.exports = GuildConfig;
\ No newline at end of file
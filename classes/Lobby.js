@@ -1,13 +1,24 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const chance = require('chance').Chance();
 const deepEqual = require('deep-equal');
 const { Permissions, MessageEmbed } = require('discord.js');
 const { client, clientReady } = require('../discord-bot/discord-bot');
+const { url, host, secure } = require('../lib/server');
+const onShutdown = require('../lib/shutdown');
+const tokensMatch = require('../lib/tokensMatch');
 const sound = require('../sounds');
 const Database = require('./Database');
 const GuildConfig = require('./GuildConfig');
+const LobbyConfig = require('./LobbyConfig');
+const Match = require('./Match');
+const PlayerStats = require('./PlayerStats');
 const UserConfig = require('./UserConfig');
+const VoiceEditQueue = require('./VoiceEditQueue');
 const Player = require('./Player');
 const Room = require('./Room');
+const { describeCompatibleVersions } = require('../capture/protocols');
+const { BUTTON_STYLE, commandButton, sendWithButtons, editWithButtons } = require('../discord-bot/interactions');
 
 const requiredTextPermissionsFlags = [
     'VIEW_CHANNEL',
@@ -40,6 +51,46 @@ const AUTOMATION = {
     DISCONNECTED: 'Disconnected'
 };
 
+/**
+ * Reactions players can add to the lobby info post, and the commands they stand in for.
+ */
+const REACTION_CONTROLS = [
+    {
+        emoji: '☠️',
+        command: 'kill',
+        selfOnly: true,
+        use: (lobby, guildMember) => lobby.guildMemberKill(guildMember)
+    },
+    { emoji: '🗣️', command: 'meet', use: lobby => lobby.transition(PHASE.MEETING) },
+    { emoji: '🔧', command: 'work', use: lobby => lobby.transition(PHASE.WORKING) },
+    { emoji: '👋', command: 'leave', use: (lobby, guildMember) => lobby.guildMemberQuit(guildMember) }
+];
+
+/**
+ * Emoji can be sent with or without the variation selector, so it's ignored when comparing them.
+ *
+ * @param {string} emoji
+ * @returns {string}
+ */
+function normalizeEmoji(emoji) {
+    return emoji?.replace(/\ufe0f/g, '');
+}
+
+/**
+ * How many newer messages bury the info post, so it's reposted instead of edited.
+ */
+const BURIED_INFO_POST_MESSAGES = 5;
+
+/**
+ * How long a connect code can be used to connect new captures, before it needs to be regenerated.
+ */
+const CONNECT_CODE_LIFETIME = 1000 * 60 * 60 * 6;
+
+/**
+ * How long players who disconnect from the game are kept, in case they reconnect.
+ */
+const DISCONNECT_GRACE_PERIOD = 1000 * 60 * 5;
+
 /**
  * Maps voice channel IDs to lobbies.
  * @type {Map<string, Lobby>}
@@ -52,6 +103,20 @@ const lobbiesByVoiceChannel = new Map();
  */
 const lobbiesByConnectCode = new Map();
 
+/**
+ * Moves the bot is making between lobbies and their ghost channels, mapped by guild member id.
+ * These are tracked so the moves aren't mistaken for players leaving.
+ * @type {Map<string, {channelId: string, expiresAt: number}>}
+ */
+const expectedMoves = new Map();
+
+/**
+ * Broadcasts changes to lobbies, for anything that needs to follow along in real time.
+ * Listeners receive the lobby that changed, followed by the details of the change.
+ * @type {EventEmitter}
+ */
+const lobbyEvents = new EventEmitter();
+
 // Connect to the database.
 const database = new Database('lobbies');
 
@@ -63,7 +128,8 @@ const ready = clientReady
         // Resume all loaded lobbies.
         await Promise.all(documents.map(async document => {
             try {
-                const { voiceChannelId, textChannelId, players, infoPostId } = document;
+                const { voiceChannelId, textChannelId, players, infoPostId, shutdownAt } = document;
+                delete document.shutdownAt;
 
                 // Get the voice and text channels.
                 const [voiceChannel, textChannel] = await Promise.all([
@@ -75,8 +141,16 @@ const ready = clientReady
                     throw new Error(`Failed to find text channel ${textChannelId}. Cancelling lobby restoration.`);
                 }
 
-                // Alert users about the restart.
-                textChannel.send("Uh oh! It looks like I may have restarted. Give me a few seconds to catch up.");
+                // Alert users about the restart, depending on whether it was planned.
+                if (shutdownAt) {
+                    const downtime = Math.round((Date.now() - Date.parse(shutdownAt)) / 1000);
+                    console.log(`Resuming lobby ${voiceChannelId} after a planned restart (${downtime}s).`);
+                    textChannel.send("I'm back from maintenance! Give me a few seconds to catch up.");
+                }
+                else {
+                    console.log(`Resuming lobby ${voiceChannelId} after an unexpected restart.`);
+                    textChannel.send("Uh oh! It looks like I may have restarted. Give me a few seconds to catch up.");
+                }
 
                 // Delete the old info post, if any.
                 await textChannel.messages.fetch(infoPostId)
@@ -102,12 +176,21 @@ const ready = clientReady
                 // Add all the restored players to the lobby.
                 restoredPlayers.forEach(player => lobby._players.add(player));
 
+                // Keep waiting for any disconnected players to return.
+                restoredPlayers
+                    .filter(player => player.isDisconnected)
+                    .forEach(player => lobby.scheduleDisconnectExpiry(player));
+
                 // Handle everyone still in the channel.
                 await Promise.all(voiceChannel.members.map(member => lobby.guildMemberConnected(member)));
 
-                // Handle everyone who has left.
+                // Handle everyone who has left. (Ghosts who are still in the ghost channel haven't.)
+                const ghostChannelId = await lobby.getConfig('ghost-channel');
+                const isInGhostChannel = player => player.isGhost
+                    && player.guildMember?.voice.channelID === ghostChannelId;
                 await Promise.all(restoredPlayers
                     .filter(player => player.discordId && !voiceChannel.members.has(player.discordId))
+                    .filter(player => !isInGhostChannel(player))
                     .map(player => lobby.guildMemberDisconnected(player.guildMember)));
 
                 // Post an update.
@@ -131,6 +214,19 @@ const ready = clientReady
 class Lobby {
     static get PHASE() { return PHASE; }
 
+    /**
+     * @returns {EventEmitter} - Emits an event every time any lobby changes.
+     */
+    static get events() { return lobbyEvents; }
+
+    /**
+     * Prepare every lobby for the bot to shut down.
+     * @returns {Promise<void>}
+     */
+    static async shutdownAll() {
+        await Promise.all([...lobbiesByVoiceChannel.values()].map(lobby => lobby.shutdown()));
+    }
+
     static async getLobbyCount() {
         return lobbiesByVoiceChannel.size;
     }
@@ -174,6 +270,58 @@ class Lobby {
         return lobby;
     }
 
+    /**
+     * Find the lobby that moved a guild member into a ghost channel.
+     *
+     * @param {string} channelId - ID of the ghost channel.
+     * @param {Discord.GuildMember} guildMember - Guild member who was moved there.
+     * @returns {Promise<Lobby>} - Lobby the guild member is a ghost in, or null
+     */
+    static async findByGhostChannel(channelId, guildMember) {
+        // Return immediately if no channel was provided.
+        if (!channelId) return null;
+
+        // Wait for maps to populate, if near startup.
+        await ready;
+
+        for (const lobby of lobbiesByVoiceChannel.values()) {
+            if (!lobby.getGuildMemberPlayer(guildMember)?.isGhost) continue;
+            if (await lobby.getConfig('ghost-channel') === channelId) return lobby;
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a voice channel change was a move made by the bot, and stop expecting it if so.
+     *
+     * @param {string} guildMemberId - ID of the guild member who moved.
+     * @param {string} channelId - ID of the channel they moved to.
+     * @returns {boolean} - Whether the move was expected.
+     */
+    static consumeExpectedMove(guildMemberId, channelId) {
+        const move = expectedMoves.get(guildMemberId);
+        if (!move) return false;
+        expectedMoves.delete(guildMemberId);
+        return move.channelId === channelId && move.expiresAt > Date.now();
+    }
+
+    /**
+     * Find the lobby whose current info post was reacted to, and use the matching reaction control.
+     *
+     * @param {Discord.MessageReaction} reaction
+     * @param {Discord.User} user - The user who reacted.
+     * @returns {Promise<void>}
+     */
+    static async handleReaction(reaction, user) {
+        // Wait for maps to populate, if near startup.
+        await ready;
+
+        // Only the latest info post has working controls. Older ones have been deleted, anyway.
+        const messageId = reaction.message.id;
+        const lobby = [...lobbiesByVoiceChannel.values()].find(lobby => lobby._document.infoPostId === messageId);
+        if (lobby) await lobby.useReactionControl(reaction, user);
+    }
+
     /**
      * Find a lobby associated with a connect code.
      *
@@ -200,9 +348,10 @@ class Lobby {
      * @param {VoiceChannel} voiceChannel - Voice channel, or the id of one.
      * @param {TextChannel} textChannel - Guild text channel, or the id of one.
      * @param {Room} [room] - A room to start with.
+     * @param {Discord.GuildMember} [host] - The guild member who started the lobby.
      * @returns {Promise<Lobby>}
      */
-    static async start(voiceChannel, textChannel, room) {
+    static async start(voiceChannel, textChannel, room, host) {
         if (typeof voiceChannel === 'string') {
             // TODO Get the voice channel associated with the ID.
             throw new Error("Starting a channel by ID isn't supported yet.");
@@ -218,6 +367,7 @@ class Lobby {
             voiceChannelId: voiceChannel.id,
             textChannelId: textChannel.id,
             phase: PHASE.INTERMISSION,
+            hostId: host?.id,
             room
         };
 
@@ -241,7 +391,30 @@ class Lobby {
         return lobby;
     }
 
-    constructor(voiceChannel, textChannel, { room, ...document }) {
+    /**
+     * Start a lobby automatically, if the voice channel is one of the guild's game channels.
+     *
+     * @param {Discord.VoiceChannel} voiceChannel - The voice channel a guild member just joined.
+     * @param {Discord.GuildMember} guildMember - The guild member who joined, who will host the lobby.
+     * @returns {Promise<Lobby|null>} - The new lobby, or null if one wasn't started.
+     */
+    static async autoStart(voiceChannel, guildMember) {
+        // Check whether the channel is a game channel.
+        const guildConfig = await GuildConfig.load(voiceChannel.guild.id);
+        const textChannelId = guildConfig.getGameTextChannelId(voiceChannel.id);
+        if (!textChannelId) return null;
+        const textChannel = await client.channels.fetch(textChannelId);
+
+        // If someone else started a lobby in the meantime, use that one.
+        if (lobbiesByVoiceChannel.has(voiceChannel.id)) return null;
+
+        const lobby = await Lobby.start(voiceChannel, textChannel, null, guildMember);
+        lobby.emit(`Auto-started for guild member ${guildMember.id}`);
+        await lobby.sendHostDetails(guildMember.user);
+        return lobby;
+    }
+
+    constructor(voiceChannel, textChannel, { room, match, ...document }) {
         if (!voiceChannel) throw new Error('A voice channel is required for a lobby.');
         if (!voiceChannel) throw new Error('A text channel is required for a lobby.');
         this._voiceChannel = voiceChannel;
@@ -261,12 +434,22 @@ class Lobby {
             `I need the following:\n\t- ${requiredTextPermissionsFlags.join('\n\t- ')}`
         ].join('\n'));
 
+        // Make sure there's a config property, for settings that override the guild's.
+        if (!document.config) document.config = {};
+
         // Verify the phase.
         if (!document.phase) document.phase = PHASE.INTERMISSION;
         if (!Object.values(PHASE).includes(document.phase)) throw new Error("Invalid lobby phase");
 
         // If there's no connect code in the document, create one.
-        if (!this.connectCode) document.connectCode = chance.string({ length: 8, casing: 'upper', alpha: true });
+        if (!this.connectCode) this.generateConnectCode();
+
+        // Lobbies from older versions may not have an expiry or capture token for their connect code yet.
+        if (!document.connectCodeExpiresAt) document.connectCodeExpiresAt = Date.now() + CONNECT_CODE_LIFETIME;
+        if (!document.captureToken) document.captureToken = crypto.randomBytes(16).toString('hex');
+
+        // Likewise, create a secret token for the API.
+        if (!this.apiToken) document.apiToken = crypto.randomBytes(24).toString('hex');
 
         // Create a map to hold the players.
         /**
@@ -280,6 +463,16 @@ class Lobby {
         // Store the room.
         if (room) this._document.room = new Room(room);
 
+        // Restore the match in progress, if any.
+        if (match) this._match = new Match(match);
+
+        /**
+         * Timeouts for removing disconnected players, mapped by player.
+         * @type {Map<Player, NodeJS.Timeout>}
+         * @private
+         */
+        this._disconnectTimeouts = new Map();
+
         // Update the connection status
         // TODO Verify that this doesn't need to be serialized.
         this.automation = AUTOMATION.WAITING;
@@ -326,14 +519,80 @@ class Lobby {
 
     get connectCode() {return this._document.connectCode;}
 
+    /**
+     * @returns {boolean} - Whether the connect code is too old to connect new captures.
+     */
+    get connectCodeExpired() {return Date.now() > this._document.connectCodeExpiresAt;}
+
+    /**
+     * @returns {string} - Secret token that captures must provide, if the guild requires one.
+     */
+    get captureToken() {return this._document.captureToken;}
+
+    /**
+     * @returns {string} - Secret token required to control the lobby through the API.
+     */
+    get apiToken() {return this._document.apiToken;}
+
     get room() {return this._document.room;};
 
+    /**
+     * @returns {string} - Discord ID of the lobby's host, if any.
+     */
+    get hostId() {return this._document.hostId;}
+
+    /**
+     * Make a guild member the host of the lobby.
+     *
+     * @param {Discord.GuildMember} guildMember
+     */
+    async transferHost(guildMember) {
+        if (guildMember.user.bot) throw new Error("Bots can't host lobbies.");
+        if (!this.voiceChannel.members.has(guildMember.id)) throw new Error("The host must be in the voice channel.");
+        this._document.hostId = guildMember.id;
+        this.emit(`Transferred host to ${guildMember.id}`);
+        this.scheduleInfoPost();
+        this.scheduleSave();
+    }
+
+    /**
+     * Checks whether a guild member is allowed to use restricted commands on this lobby.
+     *
+     * The host and moderators always are. If the host has left the voice channel, anyone in it is.
+     * (Hosts who were moved to the ghost channel after dying haven't left.)
+     *
+     * @param {Discord.GuildMember} guildMember
+     * @returns {Promise<boolean>}
+     */
+    async isHostOrModerator(guildMember) {
+        if (guildMember.id === this.hostId) return true;
+        const { moderatorRoleId } = await this.getGuildConfig();
+        if (moderatorRoleId && guildMember.roles.cache.has(moderatorRoleId)) return true;
+        if (this.voiceChannel.members.has(this.hostId)) return false;
+        const ghostChannelId = await this.getConfig('ghost-channel');
+        const ghostChannel = ghostChannelId && this.guild.channels.cache.get(ghostChannelId);
+        return !ghostChannel?.members.has(this.hostId);
+    }
+
+    /**
+     * @returns {Match} - The match currently being played, if any.
+     */
+    get match() {return this._match;}
+
+    /**
+     * Players who left the game partway through the current match. They're kept until the next intermission, so the
+     * lobby posts and match records stay complete.
+     * @returns {{amongUsName: string, amongUsColor: string, status: string, discordId: string}[]}
+     */
+    get departedPlayers() { return this._document.departedPlayers ?? []; }
+
     async updateRoom(room) {
         if (!room) delete this._document.room;
         else {
             this._document.room = new Room(room);
             if (this.phase !== PHASE.MENU) await this.speak('new-room-code');
         }
+        this.broadcast('room', { room: this.room ?? null });
         this.scheduleInfoPost();
         this.scheduleSave();
     }
@@ -342,18 +601,132 @@ class Lobby {
         console.log(`Lobby ${this.voiceChannel.id}: ${message}`);
     }
 
+    /**
+     * Create a new connect code and capture token, without touching anything that uses the old ones.
+     * @private
+     */
+    generateConnectCode() {
+        this._document.connectCode = chance.string({ length: 8, casing: 'upper', alpha: true });
+        this._document.connectCodeExpiresAt = Date.now() + CONNECT_CODE_LIFETIME;
+        this._document.captureToken = crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * Replace the connect code (and capture token), so any captures using the old ones are disconnected.
+     * @returns {Promise<void>}
+     */
+    async regenerateConnectCode() {
+        const previousConnectCode = this.connectCode;
+        this.generateConnectCode();
+
+        // Update the map.
+        lobbiesByConnectCode.delete(previousConnectCode);
+        lobbiesByConnectCode.set(this.connectCode, this);
+
+        this.emit('Regenerated connect code');
+        this.broadcast('connectCodeChanged', { previousConnectCode });
+        await this.save();
+    }
+
+    /**
+     * Check the token provided by a capture, if the guild requires one.
+     *
+     * @param {string} [token] - Token provided by the capture.
+     * @returns {Promise<boolean>} - Whether the capture may connect.
+     */
+    async verifyCaptureToken(token) {
+        if (!await this.getGuildConfig('capture-token')) return true;
+        return tokensMatch(token, this.captureToken);
+    }
+
+    /**
+     * Generate the link that connects the capture to this lobby in one click.
+     * @returns {Promise<string>}
+     */
+    async getCaptureLink() {
+        const query = [];
+        if (!secure) query.push('insecure');
+        if (await this.getGuildConfig('capture-token')) query.push(`token=${this.captureToken}`);
+        return `aucapture://${host}/${this.connectCode}${query.length ? `?${query.join('&')}` : ''}`;
+    }
+
+    /**
+     * DM the details the host needs to run the lobby: the capture connect code, API token, and dashboard link.
+     *
+     * @param {Discord.User} user - The user to send the details to.
+     * @returns {Promise<void>}
+     */
+    async sendHostDetails(user) {
+        const { connectCode, apiToken, voiceChannel, textChannel } = this;
+
+        // Generate capture information.
+        const captureLink = `<${await this.getCaptureLink()}>`;
+        const dashboardLink = `${url}/dashboard/#connectCode=${connectCode}&token=${apiToken}`;
+
+        const dmChannel = await user.createDM();
+        await dmChannel.send(new MessageEmbed()
+            .setTitle("You're hosting a new game lobby!")
+            .setDescription([
+                `You're hosting a new lobby using the **${voiceChannel.name}** channel in **${voiceChannel.guild.name}**.`,
+                `Lobby status and updates will be posted in <#${textChannel.id}>.\n`,
+                `You can automate the lobby using [Among Us Capture](https://github.com/denverquane/amonguscapture).`,
+                `If you don't already have the right version, download it from the link below.`
+            ].join('\n'))
+            .addField('Compatible Versions', describeCompatibleVersions(), true)
+            .addField('Bot URL', `\`${url}\``, true)
+            .addField('Connect Code', `\`${connectCode}\``, true)
+            .addField('One-Click Connect Link', captureLink)
+            .addField('API Token', `||\`${apiToken}\`||`)
+            .addField('Lobby Dashboard', `[Open the dashboard](${dashboardLink}) to run the lobby from your browser.`)
+        );
+    }
+
+    /**
+     * Notify anything following the lobby's events about a change.
+     *
+     * @param {string} event - Name of the event.
+     * @param {object} [details] - Details about the change.
+     */
+    broadcast(event, details = {}) {
+        lobbyEvents.emit(event, this, details);
+    }
+
     async updateAutomationConnection(connected) {
         // Make an announcement the first time capture connects.
         if (this.automation === AUTOMATION.WAITING && connected) await this.speak('capture-connected');
         this.automation = connected ? AUTOMATION.CONNECTED : AUTOMATION.DISCONNECTED;
+        this.broadcast('capture', { status: this.automation });
         this.scheduleInfoPost();
     }
 
+    /**
+     * Record that the bot is about to move a guild member, so the move isn't mistaken for them leaving.
+     *
+     * @param {string} guildMemberId - ID of the guild member being moved.
+     * @param {string} channelId - ID of the channel they're being moved to.
+     */
+    expectMove(guildMemberId, channelId) {
+        // If the move fails, the record will be ignored after a few seconds.
+        expectedMoves.set(guildMemberId, { channelId, expiresAt: Date.now() + 10000 });
+    }
+
     async getGuildConfig(key) {
         const guildConfig = await GuildConfig.load(this.voiceChannel.guild.id);
         return key ? guildConfig.get(key) : guildConfig;
     }
 
+    /**
+     * Get the settings for this lobby, which fall back to the guild's settings unless overridden.
+     *
+     * @param {string} [key] - The setting to get. (Default: The whole config.)
+     * @returns {Promise<LobbyConfig|*>}
+     */
+    async getConfig(key) {
+        const guildConfig = await this.getGuildConfig();
+        const lobbyConfig = new LobbyConfig(this._document.config, guildConfig, () => this.scheduleSave());
+        return key ? lobbyConfig.get(key) : lobbyConfig;
+    }
+
     /**
      * Searches for players in the lobby.
      *
@@ -379,11 +752,12 @@ class Lobby {
 
     async amongUsJoin({ name, color, dead }, allowAutoJoin = true) {
         let player = this.getAmongUsPlayer(name);
+        const isNewPlayer = !player;
 
         // If there's no player yet, try to auto-join them.
         if (!player && allowAutoJoin) {
             // Look for a valid auto-join target.
-            if (await this.getGuildConfig('autojoin')) {
+            if (await this.getConfig('autojoin')) {
                 const spectators = this.players.filter(player => player.isSpectating);
                 const playerCache = await Promise.all(spectators.map(async player => {
                     const { amongUsName } = await UserConfig.load(player.discordId);
@@ -404,6 +778,16 @@ class Lobby {
             }
         }
 
+        // If they'd left mid-game, they're not departed any more.
+        this._document.departedPlayers = this.departedPlayers.filter(({ amongUsName }) => amongUsName !== name);
+
+        // If a disconnected player came back, restore them.
+        if (player?.isDisconnected) {
+            this.cancelDisconnectExpiry(player);
+            player.reconnect();
+            this.broadcast('playerReconnect', { player: player.toJSON() });
+        }
+
         // If there's still no player, create one.
         if (!player) {
             player = new Player(this);
@@ -414,9 +798,15 @@ class Lobby {
         // Update their color.
         player.amongUsColor = color;
 
-        // Start them in the appropriate status.
-        dead ? player.kill() : player.revive();
+        // Start them in the appropriate status. (Only players who were dead are revived in the match record.)
+        const wasDead = player.isDeadOrDying;
+        if (dead) player.kill();
+        else {
+            player.revive();
+            if (wasDead) this.match?.recordRevival(player);
+        }
         await this.setPlayerForCurrentPhase(player);
+        if (isNewPlayer) this.broadcast('playerJoin', { player: player.toJSON() });
 
         // Schedule updates.
         this.scheduleInfoPost();
@@ -428,6 +818,15 @@ class Lobby {
 
         // Ignore players that are no longer tracked. (This happens frequently after starting a new game.)
         if (!player) return;
+        this.cancelDisconnectExpiry(player);
+        this.broadcast('playerLeave', { player: player.toJSON() });
+
+        // If they were playing in a match, remember them until it's over. (As they were before any disconnection.)
+        if (this.match && !player.isSpectating && !player.isWaiting) {
+            const { amongUsName, amongUsColor, lastConnectedStatus: status, discordId } = player;
+            this._document.departedPlayers = [...this.departedPlayers, { amongUsName, amongUsColor, status, discordId }];
+            this.match.recordDeparture(player);
+        }
 
         // If the player is on Discord, disconnect them.
         const { guildMember } = player;
@@ -435,6 +834,7 @@ class Lobby {
             player.amongUsColor = null;
             // Remove the player from the game, making them a spectator.
             await player.leaveGame();
+            await this.updateSpeakPermissions();
 
             // If they're no longer in the voice channel, disconnect them entirely.
             const { voice } = await guildMember.fetch();
@@ -447,20 +847,67 @@ class Lobby {
         // Otherwise, just remove them from the game entirely.
         else this._players.delete(player);
 
-        // TODO Keep dead players around until the end of the match.
+        // Schedule updates.
+        this.scheduleInfoPost();
+        this.scheduleSave();
+    }
+
+    /**
+     * Handle a player disconnecting from the game.
+     *
+     * Unlike leaving, they keep their Discord link, name, color, and status for a while, in case they reconnect.
+     *
+     * @param {object} update
+     * @param {string} update.name - In-game name of the player.
+     * @returns {Promise<void>}
+     */
+    async amongUsDisconnect({ name }) {
+        const player = this.getAmongUsPlayer(name);
+
+        // Ignore players that are no longer tracked, or already disconnected.
+        if (!player || player.isSpectating || player.isDisconnected) return;
+
+        player.disconnect();
+        await this.setPlayerForCurrentPhase(player);
+        this.scheduleDisconnectExpiry(player);
+        this.broadcast('playerDisconnect', { player: player.toJSON() });
 
         // Schedule updates.
         this.scheduleInfoPost();
         this.scheduleSave();
     }
 
+    /**
+     * Remove a disconnected player from the game if they don't reconnect before the grace period runs out.
+     * @param {Player} player
+     */
+    scheduleDisconnectExpiry(player) {
+        this.cancelDisconnectExpiry(player);
+        const elapsed = Date.now() - Date.parse(player.disconnectedAt);
+        this._disconnectTimeouts.set(player, setTimeout(() => {
+            this._disconnectTimeouts.delete(player);
+            if (this.stopped || !player.isDisconnected) return;
+            this.emit(`Disconnected player "${player.amongUsName}" didn't return.`);
+            this.amongUsLeave({ name: player.amongUsName }).catch(error => console.error(error));
+        }, Math.max(DISCONNECT_GRACE_PERIOD - elapsed, 0)));
+    }
+
+    cancelDisconnectExpiry(player) {
+        if (this._disconnectTimeouts.has(player)) {
+            clearTimeout(this._disconnectTimeouts.get(player));
+            this._disconnectTimeouts.delete(player);
+        }
+    }
+
     async amongUsKill({ name }) {
         let player = this.getAmongUsPlayer(name);
         if (!player) throw new Error(`amongUsKill order for "${name}" but no such player.`);
 
         // Kill the player.
         player.kill();
+        this.match?.recordEvent(Match.EVENT.KILL, player);
         await this.setPlayerForCurrentPhase(player);
+        this.broadcast('death', { player: player.toJSON(), exiled: false });
 
         // Schedule updates.
         this.scheduleInfoPost();
@@ -473,19 +920,65 @@ class Lobby {
 
         // Kill the player.
         player.instantKill();
+        this.match?.recordEvent(Match.EVENT.EXILE, player);
         await this.setPlayerForCurrentPhase(player);
+        this.broadcast('death', { player: player.toJSON(), exiled: true });
 
         // Schedule updates.
         this.scheduleInfoPost();
         this.scheduleSave();
     }
 
-    async amongUsForceUpdate({ name, color, dead, disconnected }) {
-        if (disconnected) {
-            // TODO Handle disconnected players.
+    /**
+     * Record the results of a game, as reported by newer captures.
+     *
+     * @param {object} results
+     * @param {string} results.reason - Why the game ended.
+     * @param {string} results.winners - Which team won. (`Crewmates` or `Impostors`.)
+     * @param {{name: string, isImpostor: boolean}[]} results.players - Everyone who played.
+     * @returns {Promise<void>}
+     */
+    async amongUsGameOver({ reason, winners, players }) {
+        const impostors = players.filter(player => player.isImpostor).map(player => player.name);
+        this.broadcast('gameOver', { reason, winners, impostors });
+
+        // Usually the game is still in progress, and the results are posted when the match ends.
+        if (this.match) {
+            this.match.recordResult({ reason, winners, impostors });
+            this.scheduleSave();
             return;
         }
 
+        // But the lobby may have left the game first, so the match that just ended gets the results instead.
+        const match = this._matchAwaitingResult;
+        if (!match) return;
+        delete this._matchAwaitingResult;
+        match.recordResult({ reason, winners, impostors });
+        await match.save();
+        await this.postMatchResults(match);
+    }
+
+    /**
+     * Track the crew's overall task progress, as reported by newer captures.
+     *
+     * @param {object} progress
+     * @param {number} progress.completed - How many tasks have been completed.
+     * @param {number} progress.total - How many tasks there are.
+     * @returns {Promise<void>}
+     */
+    async amongUsTaskProgress({ completed, total }) {
+        this._document.taskProgress = { completed, total };
+        this.broadcast('taskProgress', { completed, total });
+
+        // Schedule updates.
+        this.scheduleInfoPost();
+        this.scheduleSave();
+    }
+
+    async amongUsForceUpdate({ name, color, dead, disconnected }) {
+        // Disconnected players are kept for a while, in case they reconnect.
+        if (disconnected) return this.amongUsDisconnect({ name });
+
         // For everyone else, add/update them (without auto-join)
         await this.amongUsJoin({ name, color, dead, disconnected });
     }
@@ -512,12 +1005,14 @@ class Lobby {
             this._players.delete(player);
 
             this.emit(`Linked discord user ${existingPlayer.discordName} with name "${amongUsName}"`);
+            this.broadcast('playerJoin', { player: existingPlayer.toJSON() });
         }
 
         // Otherwise, set the player's name and add them to the game.
         else {
             player.joinGame(amongUsName);
             await this.setPlayerForCurrentPhase(player);
+            this.broadcast('playerJoin', { player: player.toJSON() });
         }
 
         // Schedule updates.
@@ -540,6 +1035,7 @@ class Lobby {
         const dead = player.isDeadOrDying;
 
         // Mark the player as having left.
+        this.broadcast('playerLeave', { player: player.toJSON() });
         await player.leaveGame();
         await this.setPlayerForCurrentPhase(player);
 
@@ -588,7 +1084,7 @@ class Lobby {
 
         // Auto-join, if enabled.
         if (allowAutoJoin && player.isSpectating) {
-            if (await this.getGuildConfig('autojoin')) {
+            if (await this.getConfig('autojoin')) {
                 const { amongUsName } = await UserConfig.load(guildMember.id);
                 const existingPlayer = this.getAmongUsPlayer(amongUsName);
                 if (existingPlayer && !existingPlayer.discordId) {
@@ -618,6 +1114,7 @@ class Lobby {
 
         // Unmute the player, for having left the channel.
         await player.editGuildMember(false, false, "Left Voice Channel", true);
+        await this.updateSpeakPermissions();
 
         // End the lobby if there are no more connected players.
         const gameIsInMenu = this.phase === PHASE.MENU;
@@ -652,7 +1149,9 @@ class Lobby {
             const player = this.getGuildMemberPlayer(member);
             if (player) {
                 player.kill();
+                this.match?.recordEvent(Match.EVENT.KILL, player);
                 await this.setPlayerForCurrentPhase(player);
+                this.broadcast('death', { player: player.toJSON(), exiled: false });
             }
         });
 
@@ -678,7 +1177,9 @@ class Lobby {
             const player = this.getGuildMemberPlayer(member);
             if (player) {
                 player.revive();
+                this.match?.recordRevival(player);
                 await this.setPlayerForCurrentPhase(player);
+                this.broadcast('revive', { player: player.toJSON() });
             }
         });
 
@@ -705,59 +1206,198 @@ class Lobby {
         this._transitioning = true;
         this._document.phase = targetPhase;
 
-        // Sort players into batches, to avoid cross-talk.
-        const participants = [];
-        const workers = [];
-        const nonWorkers = [];
-        const spectators = [];
-        this.players.forEach(player => {
-            player.isSpectating ? spectators.push(player) : participants.push(player);
-            player.isWorker ? workers.push(player) : nonWorkers.push(player);
-        });
-
-        // Handle the transition.
-        this.emit(`Transitioning to ${targetPhase}`);
-        switch (targetPhase) {
-            case PHASE.MENU:
-                // Delete the room code.
-                await this.updateRoom(null);
-
-                // Unmute all discord users and delete everyone else.
-                await Promise.all(this.players.map(async player => {
-                    if (player.guildMember) await player.setForIntermission();
-                    else this._players.delete(player);
-
-                }));
-                break;
-            case PHASE.INTERMISSION:
-                await Promise.all(participants.map(player => player.setForIntermission()));
-                await Promise.all(spectators.map(player => player.setForIntermission()));
-                break;
-
-            case PHASE.WORKING:
-                // Update workers first, to avoid cross-talk, then everyone else.
-                await Promise.all(workers.map(player => player.setForWorking()));
-                await Promise.all(nonWorkers.map(player => player.setForWorking()));
-                break;
+        try {
+            // Start or end the match, if the game is starting or ending.
+            // (Problems with the match record are logged, rather than holding up the game.)
+            await this.updateMatch(targetPhase).catch(error => console.error(error));
+
+            // Once the match is over, forget anyone who left during it, along with the task progress.
+            if (!this.match) {
+                delete this._document.departedPlayers;
+                delete this._document.taskProgress;
+            }
 
-            case PHASE.MEETING:
-                // Update non-workers first, to avoid cross-talk, then everyone else.
-                await Promise.all(nonWorkers.map(player => player.setForMeeting()));
-                await Promise.all(workers.map(player => player.setForMeeting()));
-                break;
+            // Sort players into batches, to avoid cross-talk.
+            const participants = [];
+            const workers = [];
+            const nonWorkers = [];
+            const spectators = [];
+            this.players.forEach(player => {
+                player.isSpectating ? spectators.push(player) : participants.push(player);
+                player.isWorker ? workers.push(player) : nonWorkers.push(player);
+            });
+
+            // Get the settings for muting and deafening players.
+            const config = await this.getConfig();
+
+            // Handle the transition.
+            this.emit(`Transitioning to ${targetPhase}`);
+            switch (targetPhase) {
+                case PHASE.MENU:
+                    // Delete the room code.
+                    await this.updateRoom(null);
+
+                    // Unmute all discord users and delete everyone else.
+                    await Promise.all(this.players.map(async player => {
+                        if (player.guildMember) await player.setForIntermission();
+                        else this._players.delete(player);
+
+                    }));
+                    break;
+                case PHASE.INTERMISSION:
+                    await Promise.all(participants.map(player => player.setForIntermission()));
+                    await Promise.all(spectators.map(player => player.setForIntermission()));
+                    break;
+
+                case PHASE.WORKING:
+                    // Update workers first, to avoid cross-talk, then everyone else.
+                    await Promise.all(workers.map(player => player.setForWorking(config)));
+                    await Promise.all(nonWorkers.map(player => player.setForWorking(config)));
+                    break;
+
+                case PHASE.MEETING:
+                    // Update non-workers first, to avoid cross-talk, then everyone else.
+                    await Promise.all(nonWorkers.map(player => player.setForMeeting(config)));
+                    await Promise.all(workers.map(player => player.setForMeeting(config)));
+                    break;
+
+                default:
+                    throw new Error("Invalid target phase");
+            }
 
-            default:
-                throw new Error("Invalid target phase");
+            // Mute everyone at once, if the channel's permissions are used for muting.
+            await this.updateSpeakPermissions();
+        }
+        finally {
+            // Always allow the next transition, even if this one failed.
+            delete this._transitioning;
         }
 
-        delete this._transitioning;
         this.emit(`Entered ${targetPhase}`);
+        this.broadcast('phase', { phase: targetPhase });
 
         // Schedule updates.
         this.scheduleInfoPost();
         this.scheduleSave();
     }
 
+    /**
+     * Keeps the match record in step with the lobby's phase.
+     *
+     * A match starts when the lobby enters a game phase (working or meeting) and ends when it returns to intermission
+     * or the menu.
+     *
+     * @param {string} targetPhase
+     * @returns {Promise<void>}
+     */
+    async updateMatch(targetPhase) {
+        const inGame = targetPhase === PHASE.WORKING || targetPhase === PHASE.MEETING;
+
+        // Start a new match, if there isn't one already. (Results for the last one won't be coming any more.)
+        if (inGame && !this.match) {
+            delete this._matchAwaitingResult;
+            this._match = Match.start(this);
+            this.emit('Started a match');
+        }
+
+        // Track meetings.
+        if (targetPhase === PHASE.MEETING) this.match.startMeeting();
+        else this.match?.endMeeting();
+
+        // End the match, if the game is over.
+        if (!inGame && this.match) await this.endMatch();
+    }
+
+    /**
+     * End the current match, if any, and move it into the match history.
+     *
+     * @param {boolean} [completed] - Whether the match was played to the end.
+     * @returns {Promise<void>}
+     */
+    async endMatch(completed = true) {
+        const { match } = this;
+        if (!match) return;
+        delete this._match;
+        await match.end(completed);
+        this.emit(`Ended a match (${completed ? 'Completed' : 'Incomplete'})`);
+
+        // Only count finished matches towards player stats.
+        if (completed) await this.recordPlayerStats(match);
+
+        // If the capture reported the outcome, post the results. Otherwise, they may still be on the way.
+        if (completed && match.result) await this.postMatchResults(match);
+        else if (completed) this._matchAwaitingResult = match;
+    }
+
+    /**
+     * Post the results of a match to the text channel, revealing the impostors and the order players died in.
+     *
+     * @param {Match} match
+     * @returns {Promise<void>}
+     */
+    async postMatchResults(match) {
+        const { reason, impostors } = match.result;
+
+        // Mention Discord users, including anyone who left partway through.
+        const describe = (amongUsName, amongUsColor) => {
+            const player = this.getAmongUsPlayer(amongUsName)
+                ?? this.departedPlayers.find(departed => departed.amongUsName === amongUsName);
+            const name = player?.discordId ? `<@${player.discordId}> (${amongUsName})` : amongUsName;
+            const participant = match.participants.find(participant => participant.amongUsName === amongUsName);
+            const color = amongUsColor ?? participant?.amongUsColor;
+            return color ? `${name} (${color})` : name;
+        };
+
+        const impostorList = impostors.map(name => `:knife: ${describe(name)}`).join('\n') || 'Unknown';
+        const deathList = match.events
+            .map(({ type, amongUsName, amongUsColor, revivedAt }, index) => {
+                const emoji = type === Match.EVENT.EXILE ? ':wave:' : ':skull:';
+                const verb = type === Match.EVENT.EXILE ? 'Exiled' : 'Killed';
+                const revived = revivedAt ? ' (Revived)' : '';
+                return `${index + 1}. ${emoji} ${verb}: ${describe(amongUsName, amongUsColor)}${revived}`;
+            })
+            .join('\n') || 'Nobody died!';
+
+        const embed = new MessageEmbed()
+            .setTitle(`Among Us - Game Over in "${this.voiceChannel.name}"`)
+            .setDescription(`**${reason}!**`)
+            .addField('Impostors', impostorList, true)
+            .addField('Deaths', deathList, true);
+
+        // Add anyone who left partway through.
+        const departureList = match.departures.map(({ amongUsName, amongUsColor }) => {
+            return `:door: ${describe(amongUsName, amongUsColor)}`;
+        }).join('\n');
+        if (departureList) embed.addField('Left Mid-Game', departureList, true);
+
+        await this.textChannel.send(embed).catch(error => console.error(error));
+    }
+
+    /**
+     * Update the stats of every Discord user who participated in a match.
+     *
+     * @param {Match} match
+     * @returns {Promise<void>}
+     */
+    async recordPlayerStats(match) {
+        await Promise.all(match.participants.map(async ({ amongUsName, amongUsColor }) => {
+            // Only Discord users have stats. (Including those who left partway through.)
+            const player = this.getAmongUsPlayer(amongUsName)
+                ?? this.departedPlayers.find(departed => departed.amongUsName === amongUsName);
+            if (!player?.discordId) return;
+
+            const event = match.getEvent(amongUsName);
+            const stats = await PlayerStats.load(this.guild.id, player.discordId);
+            stats.recordMatch({
+                name: amongUsName,
+                color: amongUsColor,
+                killed: event?.type === Match.EVENT.KILL,
+                exiled: event?.type === Match.EVENT.EXILE
+            });
+            await stats.save();
+        })).catch(error => console.error(error));
+    }
+
     /**
      * Updates the given player so they match the current phase.
      * @param {Player} player
@@ -766,14 +1406,82 @@ class Lobby {
         switch (this.phase) {
             case PHASE.MENU:
             case PHASE.INTERMISSION:
-                return player.setForIntermission();
+                await player.setForIntermission();
+                break;
             case PHASE.WORKING:
-                return player.setForWorking();
+                await player.setForWorking(await this.getConfig());
+                break;
             case PHASE.MEETING:
-                return player.setForMeeting();
+                await player.setForMeeting(await this.getConfig());
+                break;
             default:
                 throw new Error("Invalid target phase");
         }
+        await this.updateSpeakPermissions();
+    }
+
+    /**
+     * Updates the voice channel's permission overwrites so only the players who should be muted are denied _Speak_.
+     *
+     * Used by the `overwrites` mute mode, where it changes everyone with a single API call, so it should be called once
+     * the players have been updated. The update is queued with the guild's other voice edits, so repeated calls before
+     * it's made only result in one update. In other mute modes, it just removes any overwrites left over from before
+     * the mode was changed.
+     *
+     * @returns {Promise<void>}
+     */
+    async updateSpeakPermissions() {
+        // Only the `overwrites` mute mode needs any changes, unless it left some behind.
+        const useOverwrites = await this.getGuildConfig('mute-mode') === 'overwrites';
+        if (!useOverwrites && !this._document.speakDeniedIds?.length) return;
+
+        const queue = VoiceEditQueue.forGuild(this.guild.id);
+        queue.enqueue(`channel:${this.voiceChannel.id}`, VoiceEditQueue.PRIORITY.HIGH, async () => {
+            // Decide who needs to be muted, and who was muted previously.
+            const useOverwrites = await this.getGuildConfig('mute-mode') === 'overwrites';
+            const mutedIds = this.players
+                .filter(player => useOverwrites && player.guildMember && player.shouldBeMuted)
+                .map(player => player.discordId);
+            const previousIds = this._document.speakDeniedIds ?? [];
+
+            // Don't waste rate limits on duplicate requests.
+            if (deepEqual([...mutedIds].sort(), [...previousIds].sort())) return;
+
+            // Make sure the bot can actually change the permissions.
+            if (!this.voiceChannel.permissionsFor(this.guild.me).has('MANAGE_ROLES')) {
+                if (!this._warnedAboutSpeakPermissions) {
+                    this._warnedAboutSpeakPermissions = true;
+                    await this.textChannel.send([
+                        "I can't mute players with the `overwrites` mute mode,",
+                        "because I don't have the _Manage Permissions_ permission in the voice channel."
+                    ].join(' ')).catch(error => console.error(error));
+                }
+                return;
+            }
+
+            // Start from the existing overwrites, adding or removing the speak permission for anyone affected.
+            const overwrites = this.voiceChannel.permissionOverwrites.map(({ id, type, allow, deny }) => {
+                const overwrite = { id, type, allow: allow.bitfield, deny: new Permissions(deny.bitfield) };
+                if (mutedIds.includes(id)) overwrite.deny.add('SPEAK');
+                else if (previousIds.includes(id)) overwrite.deny.remove('SPEAK');
+                return overwrite;
+            });
+
+            // Add overwrites for muted players that don't already have one.
+            mutedIds
+                .filter(id => !overwrites.some(overwrite => overwrite.id === id))
+                .forEach(id => overwrites.push({ id, type: 'member', allow: 0, deny: new Permissions('SPEAK') }));
+
+            // Drop any overwrites for unmuted players that no longer do anything.
+            const remainingOverwrites = overwrites.filter(({ id, allow, deny }) => {
+                return mutedIds.includes(id) || !previousIds.includes(id) || allow || deny.bitfield;
+            });
+
+            this.emit(`Denied speaking for ${mutedIds.length} players`);
+            await this.voiceChannel.overwritePermissions(remainingOverwrites, "Silence Among Us: Mute Players");
+            this._document.speakDeniedIds = mutedIds;
+            this.scheduleSave();
+        });
     }
 
     /**
@@ -822,7 +1530,10 @@ class Lobby {
                 const mismatchDisplay = hasNameMismatch ? ` (${player.amongUsName})` : '';
                 const color = player.amongUsColor ?? 'Untracked';
 
-                if (this.phase === PHASE.INTERMISSION) {
+                if (player.isDisconnected) {
+                    return `:electric_plug: ${player.status}: ${name}${mismatchDisplay} (${color})`;
+                }
+                else if (this.phase === PHASE.INTERMISSION) {
                     return `:stopwatch: ${name}${mismatchDisplay} (${color})`;
                 }
                 else {
@@ -833,14 +1544,30 @@ class Lobby {
                 }
             }).join('\n') || 'None';
 
+            // Build a display for anyone who left partway through the match.
+            const departedList = this.departedPlayers.map(({ amongUsName, amongUsColor, status, discordId }) => {
+                const name = discordId ? `<@${discordId}> (${amongUsName})` : amongUsName;
+                const wasWorker = status === 'Living' || status === 'Dying';
+                const showStatus = options.spoil || !wasWorker || this.phase !== PHASE.WORKING;
+                return `:door: ${showStatus ? status : '_Left_'}: ${name} (${amongUsColor ?? 'Untracked'})`;
+            }).join('\n');
+
             // Build a display for all the spectators.
             const spectators = everyone.filter(player => player.isSpectating);
             const spectatorList = spectators.map(player => `<@${player.discordId}>`).join('\n');
 
             // Update the embed.
             embed.setTitle(`Among Us - ${this.phase} in "${this.voiceChannel.name}"`)
-                .addField('Room Code', roomInfo)
-                .addField(`Players (${players.length})`, playerList, true);
+                .addField('Room Code', roomInfo);
+
+            // Add the task progress, if the capture reports it.
+            const { taskProgress } = this._document;
+            if (taskProgress) embed.addField('Tasks Completed', `${taskProgress.completed}/${taskProgress.total}`);
+
+            embed.addField(`Players (${players.length})`, playerList, true);
+
+            // Add anyone who left mid-game.
+            if (departedList) embed.addField('Left Mid-Game', departedList, true);
 
             // Add spectators and join info, if necessary.
             if (spectatorList) {
@@ -857,6 +1584,9 @@ class Lobby {
 
         }
 
+        // Show the host.
+        if (this.hostId) embed.addField('Host', `<@${this.hostId}>`);
+
         // Attach the capture status.
         embed.setFooter(
             `Capture Status: ${this.automation}`
@@ -882,18 +1612,123 @@ class Lobby {
                     const [lastEmbed] = this._lastInfoPosted.embeds;
                     if (deepEqual(lastEmbed.toJSON(), embed.toJSON())) return;
                 }
-                // Post a new message.
-                const messageSent = await this.textChannel.send(embed);
-                await this.deleteLastLobbyInfo().catch(error => console.error(error));
+                // Include buttons for the most common commands.
+                const buttonRows = this.phase === PHASE.MENU ? [] : [this.getInfoPostButtons()];
+
+                // If the guild prefers it, edit the last post in place. (Unless it can't be seen anymore.)
+                const editInPlace = !options.force
+                    && await this.getGuildConfig('info-post') === 'edit'
+                    && this.canEditLastInfoPost();
+                let messageSent = editInPlace && await editWithButtons(this._lastInfoPosted, embed, buttonRows)
+                    .catch(error => {
+                        console.error(error);
+                        return null;
+                    });
+
+                // Otherwise, post a new message and delete the old one.
+                if (!messageSent) {
+                    messageSent = await sendWithButtons(this.textChannel, embed, buttonRows);
+                    await this.deleteLastLobbyInfo().catch(error => console.error(error));
+                }
                 this._lastInfoPosted = messageSent;
                 this._document.infoPostId = messageSent.id;
                 this.scheduleSave();
+
+                // Add the reaction controls, if they're enabled.
+                if (this.phase !== PHASE.MENU && await this.getConfig('reaction-controls')) {
+                    await this.addReactionControls(messageSent).catch(error => console.error(error));
+                }
             }, 500);
         }
 
         return embed;
     }
 
+    /**
+     * Buttons for the most common commands, to show under the lobby info.
+     * @returns {object[]}
+     */
+    getInfoPostButtons() {
+        const { phase } = this;
+        return [
+            commandButton('Join', 'join', { style: BUTTON_STYLE.PRIMARY }),
+            commandButton('Start tasks', 'work', { disabled: phase === PHASE.WORKING }),
+            commandButton('Meeting', 'meet', { disabled: phase !== PHASE.WORKING }),
+            commandButton('I died', 'kill me', { style: BUTTON_STYLE.DANGER, disabled: phase === PHASE.INTERMISSION })
+        ];
+    }
+
+    /**
+     * Identifies whether the last info post can be edited, rather than replaced.
+     * Posts that have been buried by newer messages are replaced, so they can still be seen.
+     *
+     * @returns {boolean}
+     */
+    canEditLastInfoPost() {
+        const infoPost = this._lastInfoPosted;
+        if (!infoPost || infoPost.deleted) return false;
+
+        // Count the messages posted since. (Deleted ones, like commands, don't count.)
+        const newerMessages = this.textChannel.messages.cache
+            .filter(message => !message.deleted && message.createdTimestamp > infoPost.createdTimestamp);
+        return newerMessages.size < BURIED_INFO_POST_MESSAGES;
+    }
+
+    /**
+     * React to an info post with each reaction control, so players can just click them.
+     *
+     * @param {Discord.Message} infoPost
+     * @returns {Promise<void>}
+     */
+    async addReactionControls(infoPost) {
+        for (const { emoji } of REACTION_CONTROLS) {
+            // Stop if the post was replaced in the meantime.
+            if (this.stopped || this._document.infoPostId !== infoPost.id) return;
+
+            // Skip any controls that are already there, since edited posts keep their reactions.
+            const existing = infoPost.reactions.cache.find(reaction => {
+                return reaction.me && normalizeEmoji(reaction.emoji.name) === normalizeEmoji(emoji);
+            });
+            if (!existing) await infoPost.react(emoji);
+        }
+    }
+
+    /**
+     * Do whatever a reaction to the info post asks for, as if the user had used the matching command.
+     *
+     * @param {Discord.MessageReaction} reaction
+     * @param {Discord.User} user - The user who reacted.
+     * @returns {Promise<void>}
+     */
+    async useReactionControl(reaction, user) {
+        // Ignore the bot's own reactions, and any that aren't controls.
+        if (user.id === client.user.id) return;
+        const reactionEmoji = normalizeEmoji(reaction.emoji.name);
+        const control = REACTION_CONTROLS.find(({ emoji }) => normalizeEmoji(emoji) === reactionEmoji);
+        if (!control || !await this.getConfig('reaction-controls')) return;
+
+        // Take the reaction back off, so the control can be used again.
+        await reaction.users.remove(user.id).catch(error => console.error(error));
+
+        // Only people in the lobby can use the controls. (Including ghosts, who have been moved out of the channel.)
+        const guildMember = await this.guild.members.fetch(user.id);
+        if (guildMember.user.bot) return;
+        const isGhost = this.getGuildMemberPlayer(guildMember)?.isGhost;
+        if (!this.voiceChannel.members.has(guildMember.id) && !isGhost) return;
+
+        // Enforce any restrictions on the matching command. (Controls that only affect the user are never restricted.)
+        const guildConfig = await this.getGuildConfig();
+        const restricted = !control.selfOnly && guildConfig.isRestricted(control.command);
+        if (restricted && !await this.isHostOrModerator(guildMember)) return;
+
+        try {
+            await control.use(this, guildMember);
+        } catch (error) {
+            // There's nowhere to reply to reactions, so failures are just noted.
+            this.emit(`Reaction control ${control.command} by ${guildMember.id} failed: ${error.message}`);
+        }
+    }
+
     async deleteLastLobbyInfo() {
         // If there was an old message, delete it.
         const messageToDelete = this._lastInfoPosted;
@@ -903,7 +1738,7 @@ class Lobby {
 
     async speak(file, onFinish) {
         // Do nothing if this guild has speech disabled.
-        if (!await this.getGuildConfig('speech')) return;
+        if (!await this.getConfig('speech')) return;
 
         try {
             // First, see if we need to join the channel.
@@ -939,8 +1774,16 @@ class Lobby {
         lobbiesByVoiceChannel.delete(this.voiceChannel.id);
         lobbiesByConnectCode.delete(this.connectCode);
 
+        // Stop waiting for disconnected players.
+        this._disconnectTimeouts.forEach(timeout => clearTimeout(timeout));
+        this._disconnectTimeouts.clear();
+
         // Reset all players.
         await Promise.all(this.players.map(player => player.leaveGame()));
+        await this.updateSpeakPermissions();
+
+        // Store any unfinished match.
+        await this.endMatch(false);
 
         // Delete the lobby from the database.
         this.cancelScheduledSave();
@@ -962,6 +1805,35 @@ class Lobby {
         await this.textChannel.send(embed);
 
         this.emit("Destroyed");
+        this.broadcast('stopped', { reason });
+    }
+
+    /**
+     * Prepare the lobby for the bot to shut down, so it can be resumed when the bot restarts.
+     *
+     * Flushes any pending voice state edits and saves, records the shutdown time, and warns the players.
+     *
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        // Cancel any pending info post, since the restart will post a new one anyway.
+        if (this._nextInfoPostTimeout) {
+            clearTimeout(this._nextInfoPostTimeout);
+            delete this._nextInfoPostTimeout;
+        }
+
+        // Make any voice state edits that are waiting.
+        await VoiceEditQueue.forGuild(this.guild.id).drain();
+
+        // Let the players know.
+        await this.textChannel.send("I'm restarting for some planned maintenance. I'll be right back!")
+            .catch(error => console.error(error));
+
+        // Record the shutdown and save immediately.
+        this._document.shutdownAt = new Date().toISOString();
+        this.cancelScheduledSave();
+        await this.save();
+        this.emit('Shut down');
     }
 
     resetInactivityTimeout() {
@@ -999,7 +1871,7 @@ class Lobby {
     }
 
     save() {
-        database.set(this.toJSON())
+        return database.set(this.toJSON())
             .then(({ id, rev }) => {
                 this._document._id = id;
                 this._document._rev = rev;
@@ -1008,12 +1880,32 @@ class Lobby {
 
     }
 
+    /**
+     * Generate the public representation of the lobby, as described by the `Lobby` schema.
+     * @returns {object}
+     */
+    toAPI() {
+        const { voiceChannelId, textChannelId, phase, room } = this._document;
+        return {
+            voiceChannelId,
+            textChannelId,
+            phase,
+            players: this.players.map(player => player.toJSON()),
+            room: room ?? null,
+            automation: this.automation
+        };
+    }
+
     toJSON() {
         const { players } = this;
         const { ...document } = this._document;
         document.players = players.map(player => player.toJSON());
+        if (this.match) document.match = this.match.toJSON();
         return document;
     }
 }
 
+// Save every lobby before shutting down.
+onShutdown(() => Lobby.shutdownAll());
+
 module.exports = Lobby;
\ No newline at end of file
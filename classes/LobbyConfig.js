@@ -0,0 +1,91 @@
+const deepEquals = require('deep-equal');
+const GuildConfig = require('./GuildConfig');
+
+/**
+ * Guild settings that can be overridden for a single lobby.
+ */
+const LOBBY_SETTING_KEYS = [
+    'autojoin',
+    'speech',
+    'spectators',
+    'deafen-workers',
+    'mute-waiting',
+    'dead-hear-meetings',
+    'ghost-channel',
+    'reaction-controls'
+];
+
+function getSetting(key) {
+    const normalizedKey = key?.toLowerCase();
+    if (!LOBBY_SETTING_KEYS.includes(normalizedKey)) throw new Error("There's no such setting for lobbies.");
+    return GuildConfig.SETTINGS[normalizedKey];
+}
+
+/**
+ * Settings for a single lobby, which override the settings for the guild.
+ *
+ * Any setting that isn't overridden falls back to the guild's value.
+ */
+class LobbyConfig {
+    /**
+     * The settings which can be overridden, mapped by key.
+     * @returns {object}
+     */
+    static get SETTINGS() {
+        return LOBBY_SETTING_KEYS.reduce((settings, key) => {
+            settings[key] = GuildConfig.SETTINGS[key];
+            return settings;
+        }, {});
+    }
+
+    /**
+     * @param {object} overrides - The lobby's overridden settings. (Will be modified in place.)
+     * @param {GuildConfig} guildConfig - The guild's settings, to fall back on.
+     * @param {function(): void} onChange - Called whenever an override changes, so the lobby can be saved.
+     */
+    constructor(overrides, guildConfig, onChange) {
+        this._overrides = overrides;
+        this._guildConfig = guildConfig;
+        this._onChange = onChange;
+    }
+
+    /**
+     * A helper method for getting the guild's settings.
+     * @returns {GuildConfig}
+     */
+    get guildConfig() {
+        return this._guildConfig;
+    }
+
+    usesGuildValue(key) {
+        return !this._overrides.hasOwnProperty(key);
+    }
+
+    get(key) {
+        const { getter } = getSetting(key);
+        if (this.usesGuildValue(key)) return this._guildConfig.get(key);
+        const value = this._overrides[key];
+        return getter ? getter(value) : value;
+    }
+
+    set(key, value) {
+        const { setter, getter } = getSetting(key);
+        const storedValue = setter ? setter(value) : value;
+        if (!deepEquals(storedValue, this._overrides[key])) {
+            this._overrides[key] = storedValue;
+            this._onChange();
+        }
+        return getter ? getter(storedValue) : storedValue;
+    }
+
+    reset(key) {
+        getSetting(key);
+        if (this._overrides.hasOwnProperty(key)) {
+            delete this._overrides[key];
+            this._onChange();
+        }
+        return this._guildConfig.get(key);
+    }
+}
+
+module.exports = LobbyConfig;
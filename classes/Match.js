@@ -0,0 +1,165 @@
+const Database = require('./Database');
+const database = new Database('matches');
+
+/**
+ * The types of events recorded during a match.
+ */
+const EVENT = {
+    KILL: 'Kill',
+    EXILE: 'Exile'
+};
+
+/**
+ * A single game of Among Us, from the end of one intermission to the start of the next.
+ *
+ * While the match is in progress, its document is stored as part of the lobby. Once it ends, it's moved into its own
+ * database so it survives the lobby.
+ */
+class Match {
+    static get EVENT() { return EVENT; }
+
+    /**
+     * Start a new match for the lobby, using its current players as the participants.
+     *
+     * @param {Lobby} lobby - Lobby the match is being played in.
+     * @returns {Match}
+     */
+    static start(lobby) {
+        const participants = lobby.players
+            .filter(player => !player.isSpectating)
+            .map(({ amongUsName, amongUsColor }) => ({ amongUsName, amongUsColor }));
+
+        return new Match({
+            guildId: lobby.guild.id,
+            voiceChannelId: lobby.voiceChannel.id,
+            room: lobby.room,
+            startedAt: new Date().toISOString(),
+            meetings: 0,
+            meetingDuration: 0,
+            participants,
+            events: [],
+            departures: []
+        });
+    }
+
+    constructor({ ...document }) {
+        this._document = document;
+    }
+
+    get startedAt() { return this._document.startedAt; }
+
+    get participants() { return this._document.participants; }
+
+    get events() { return this._document.events; }
+
+    get meetings() { return this._document.meetings; }
+
+    get departures() { return this._document.departures ?? []; }
+
+    /**
+     * The outcome of the match, if the capture reported it.
+     * @returns {{reason: string, winners: string, impostors: string[]}}
+     */
+    get result() { return this._document.result; }
+
+    get inMeeting() { return Boolean(this._document.meetingStartedAt); }
+
+    /**
+     * Record a kill, exile, or other event against a player.
+     *
+     * @param {string} type - One of the values of Match.EVENT.
+     * @param {Player} player - Player the event happened to.
+     */
+    recordEvent(type, { amongUsName, amongUsColor }) {
+        if (!Object.values(EVENT).includes(type)) throw new Error('Invalid match event type.');
+
+        // Players can only die once until they're revived, so ignore repeated reports.
+        if (this.getEvent(amongUsName)) return;
+
+        this._document.events.push({ type, amongUsName, amongUsColor, time: new Date().toISOString() });
+    }
+
+    /**
+     * Record a player being revived, so they can die again later in the match.
+     *
+     * @param {Player} player - Player who was revived.
+     */
+    recordRevival({ amongUsName }) {
+        const event = this.getEvent(amongUsName);
+        if (event) event.revivedAt = new Date().toISOString();
+    }
+
+    /**
+     * Record a player leaving the game before the match ended.
+     *
+     * @param {Player} player - Player who left.
+     */
+    recordDeparture({ amongUsName, amongUsColor, lastConnectedStatus: status }) {
+        if (!this._document.departures) this._document.departures = [];
+        this._document.departures.push({ amongUsName, amongUsColor, status, time: new Date().toISOString() });
+    }
+
+    /**
+     * Record the outcome of the match.
+     *
+     * @param {object} result
+     * @param {string} result.reason - Why the game ended.
+     * @param {string} result.winners - Which team won. (`Crewmates` or `Impostors`.)
+     * @param {string[]} result.impostors - In-game names of the impostors.
+     */
+    recordResult({ reason, winners, impostors }) {
+        this._document.result = { reason, winners, impostors };
+    }
+
+    /**
+     * Find the event (kill or exile) that ended a player's game, if any. Deaths they were revived from don't count.
+     *
+     * @param {string} amongUsName - In-game name of the player.
+     * @returns {{type: string, amongUsName: string, amongUsColor: string, time: string}}
+     */
+    getEvent(amongUsName) {
+        return this.events.find(event => event.amongUsName === amongUsName && !event.revivedAt);
+    }
+
+    startMeeting() {
+        if (this.inMeeting) return;
+        this._document.meetings++;
+        this._document.meetingStartedAt = new Date().toISOString();
+    }
+
+    endMeeting() {
+        if (!this.inMeeting) return;
+        this._document.meetingDuration += Date.now() - Date.parse(this._document.meetingStartedAt);
+        delete this._document.meetingStartedAt;
+    }
+
+    /**
+     * End the match and store it in the match history.
+     *
+     * @param {boolean} [completed] - Whether the match was played to the end, rather than cut off by the lobby ending.
+     * @returns {Promise<void>}
+     */
+    async end(completed = true) {
+        this.endMeeting();
+        const endedAt = new Date();
+        this._document.endedAt = endedAt.toISOString();
+        this._document.duration = endedAt.getTime() - Date.parse(this.startedAt);
+        this._document.completed = completed;
+        await this.save();
+    }
+
+    async save() {
+        const updates = await database.set(this._document).catch(error => console.error(error));
+        if (updates) {
+            this._document._id = updates.id;
+            this._document._rev = updates.rev;
+        }
+    }
+
+    toJSON() {
+        const { ...document } = this._document;
+        return document;
+    }
+}
+
+module.exports = Match;
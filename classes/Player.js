@@ -1,10 +1,12 @@
 const { client } = require('../discord-bot/discord-bot');
+const VoiceEditQueue = require('./VoiceEditQueue');
 
 const STATUS = {
     LIVING: 'Living',
     DYING: 'Dying',
     DEAD: 'Dead',
     WAITING: 'Waiting',
+    DISCONNECTED: 'Disconnected',
     SPECTATING: 'Spectating'
 };
 
@@ -21,7 +23,8 @@ class Player {
     constructor(lobby, guildMember, { ...document } = { status: STATUS.SPECTATING }) {
         this._document = document;
 
-        // Attach the voice channel.
+        // Attach the lobby and voice channel.
+        this._lobby = lobby;
         this._voiceChannelId = lobby.voiceChannel.id;
 
         // Attach the guild member, if provided.
@@ -35,6 +38,20 @@ class Player {
     set status(status) {
         if (!Object.values(STATUS).includes(status)) throw new Error('Invalid player status.')
         this._document.status = status;
+
+        // Forget the disconnection once the player has any other status.
+        if (status !== STATUS.DISCONNECTED) {
+            delete this._document.statusBeforeDisconnect;
+            delete this._document.disconnectedAt;
+        }
+    }
+
+    /**
+     * The time the player disconnected from the game, if they're currently disconnected.
+     * @returns {string}
+     */
+    get disconnectedAt() {
+        return this._document.disconnectedAt;
     }
 
     get guildMember() {
@@ -53,6 +70,28 @@ class Player {
         return this._document.originalNickname;
     }
 
+    /**
+     * Whether the player should currently be prevented from speaking.
+     * @returns {boolean}
+     */
+    get shouldBeMuted() {
+        return Boolean(this._shouldBeMuted);
+    }
+
+    /**
+     * Whether the player is dead, and should be in the lobby's ghost channel.
+     * @returns {boolean}
+     */
+    get isGhost() {
+        return Boolean(this._document.isGhost);
+    }
+
+    set isGhost(isGhost) {
+        // Saved with the lobby, so ghosts are still known after a restart.
+        if (isGhost) this._document.isGhost = true;
+        else delete this._document.isGhost;
+    }
+
     get amongUsName() {
         return this._document.amongUsName;
     }
@@ -137,6 +176,23 @@ class Player {
         return this.status === STATUS.WAITING;
     }
 
+    /**
+     * Identifies whether this player disconnected from the game, and might still reconnect.
+     * @returns {boolean}
+     */
+    get isDisconnected() {
+        return this.status === STATUS.DISCONNECTED;
+    }
+
+    /**
+     * The status the player had while they were last connected to the game. (Their current status, unless they've
+     * disconnected.)
+     * @returns {string}
+     */
+    get lastConnectedStatus() {
+        return this.isDisconnected ? this._document.statusBeforeDisconnect ?? STATUS.LIVING : this.status;
+    }
+
     /**
      * Identifies whether this player is spectating.
      * @returns {boolean}
@@ -145,6 +201,25 @@ class Player {
         return this.status === STATUS.SPECTATING;
     }
 
+    /**
+     * Mark the player as disconnected from the game, remembering their status in case they reconnect.
+     */
+    disconnect() {
+        if (this.isSpectating) throw new Error("Can't disconnect spectators.");
+        if (this.isDisconnected) return;
+        this._document.statusBeforeDisconnect = this.status;
+        this._document.disconnectedAt = new Date().toISOString();
+        this.status = STATUS.DISCONNECTED;
+    }
+
+    /**
+     * Restore the status the player had before they disconnected.
+     */
+    reconnect() {
+        if (!this.isDisconnected) return;
+        this.status = this._document.statusBeforeDisconnect ?? STATUS.LIVING;
+    }
+
     joinGame(amongUsName) {
         if (this.amongUsName) throw new Error("Player is already participating.");
         this.status = STATUS.WAITING;
@@ -155,51 +230,86 @@ class Player {
         delete this._document.amongUsName;
         delete this._document.amongUsColor;
         this.status = STATUS.SPECTATING;
+        this.isGhost = false;
         await this.editGuildMember(false, false, "Left Lobby");
     }
 
     async setForIntermission() {
-        // Everyone except for spectators is alive again at intermission.
-        if (!this.isSpectating) this.status = STATUS.LIVING;
+        // Everyone except for spectators is alive again at intermission. (Including disconnected players who return.)
+        if (this.isDisconnected) this._document.statusBeforeDisconnect = STATUS.LIVING;
+        else if (!this.isSpectating) this.status = STATUS.LIVING;
+        this.isGhost = false;
 
         // Everyone is unmuted.
         await this.editGuildMember(false, false, "Intermission");
     }
 
-    async setForWorking() {
-        // Spectators are muted.
+    /**
+     * @param {LobbyConfig} config - Settings for how players are muted and deafened.
+     */
+    async setForWorking(config) {
+        // Dead and dying players can optionally be moved to the ghost channel, where they can talk freely.
+        this.isGhost = this.isDeadOrDying && config.get('ghost-channel') !== 'none';
+
+        // Spectators are muted (or deafened) according to the settings.
         if (this.isSpectating) {
-            await this.editGuildMember(true, false, "Spectator");
+            const spectators = config.get('spectators');
+            await this.editGuildMember(spectators !== 'none', spectators === 'deafen', "Spectator");
+            return;
+        }
+
+        // Waiting players can optionally be muted, so they can't talk to the dead.
+        if (this.isWaiting) {
+            await this.editGuildMember(config.get('mute-waiting'), false, "Working (Waiting)");
+            return;
+        }
+
+        // Ghosts can talk freely, since they've been moved away from the living.
+        if (this.isGhost) {
+            await this.editGuildMember(false, false, "Working (Ghost)");
             return;
         }
 
         // Set audio permissions based on working status.
         this.isWorker
-            ? await this.editGuildMember(true, true, "Working (Worker)")
+            ? await this.editGuildMember(true, config.get('deafen-workers'), "Working (Worker)")
             : await this.editGuildMember(false, false, "Working (Non-Worker)");
     }
 
-    async setForMeeting() {
-        // Spectators are muted.
-        if (this.isSpectating) {
-            await this.editGuildMember(true, false, "Spectator");
+    /**
+     * @param {LobbyConfig} config - Settings for how players are muted and deafened.
+     */
+    async setForMeeting(config) {
+        // At the start of meetings, dying players become dead.
+        if (this.status === STATUS.DYING) this.status = STATUS.DEAD;
+
+        // The dead can optionally stay in the ghost channel, where they can talk freely.
+        this.isGhost = this.isKnownDead && config.get('ghost-channel') !== 'none';
+        if (this.isGhost) {
+            await this.editGuildMember(false, false, "Meeting (Ghost)");
             return;
         }
 
-        // At the start of meetings, dying players become dead.
-        if (this.status === STATUS.DYING) this.status = STATUS.DEAD;
+        // Spectators are muted according to the settings.
+        if (this.isSpectating) {
+            await this.editGuildMember(config.get('spectators') !== 'none', false, "Spectator");
+            return;
+        }
 
-        // Set audio permissions based living status
-        this.status === STATUS.LIVING
-            ? await this.editGuildMember(false, false, "Meeting (Living)")
-            : await this.editGuildMember(true, false, "Meeting (Non-Living)");
+        // Set audio permissions based living status. The dead can optionally be deafened.
+        if (this.status === STATUS.LIVING) await this.editGuildMember(false, false, "Meeting (Living)");
+        else if (this.isKnownDead) await this.editGuildMember(true, !config.get('dead-hear-meetings'), "Meeting (Dead)");
+        else await this.editGuildMember(true, false, "Meeting (Non-Living)");
     }
 
     /**
      * Sets the player's ability to speak and hear.
      *
-     * The actual API call will be made after a short delay, and cancelled if another request is made within that
-     * timeout. This prevents unnecessary API calls if the user is edited repeatedly in a short timeframe.
+     * The edit is added to the guild's voice edit queue, which replaces any edit for this player that's still waiting.
+     * What needs to change is worked out when the edit is made, so repeated edits don't waste API calls.
+     *
+     * In the `overwrites` mute mode, muting is left to the lobby, which updates the voice channel's permissions for
+     * everyone at once. (See `Lobby.updateSpeakPermissions`.)
      *
      * @param {boolean} mute - Whether the player should be allowed to speak
      * @param {boolean} deaf - Whether the player should be allowed to hear
@@ -210,12 +320,50 @@ class Player {
         // If there's no connected guild member, ignore this.
         if (!this._guildMember) return;
 
-        // Make sure we have the latest state.
-        const member = await this._guildMember.fetch();
+        // Muting and deafening prevents cross-talk, so those edits go first.
+        const priority = mute || deaf ? VoiceEditQueue.PRIORITY.HIGH : VoiceEditQueue.PRIORITY.LOW;
+
+        // When the lobby handles muting, the edit just covers everything else.
+        // (It's still queued, so it replaces any outdated edit waiting for this player.)
+        this._shouldBeMuted = mute;
+        if (await this._lobby.getGuildConfig('mute-mode') === 'overwrites') mute = false;
+
+        VoiceEditQueue.forGuild(this._guildMember.guild.id).enqueue(this._guildMember.id, priority, async () => {
+            // Make sure we have the latest state.
+            const member = await this._guildMember.fetch();
+            const patch = await this.buildGuildMemberPatch(member, mute, deaf, anyChannel);
+
+            // Don't waste rate limits on duplicate requests.
+            if (Object.keys(patch).length < 1) return;
+
+            // Let the lobby know about any move, so it isn't mistaken for leaving.
+            if (patch.channel) this._lobby.expectMove(member.id, patch.channel);
+
+            // Update the member.
+            this.emit(`Set ${JSON.stringify(patch)}`);
+            await member.edit(patch, `${REASON_PREFIX}${reason ? `: ${reason}` : ''}`);
+        });
+    }
+
+    /**
+     * Works out what needs to change about a guild member to match the player.
+     *
+     * @param {Discord.GuildMember} member - The player's guild member.
+     * @param {boolean} mute
+     * @param {boolean} deaf
+     * @param {boolean} anyChannel - Update the voice state regardless of the channel the user is in.
+     * @returns {Promise<object>} - Patch for `GuildMember.edit`, which is empty if nothing needs to change.
+     */
+    async buildGuildMemberPatch(member, mute, deaf, anyChannel) {
         const { voice } = member;
 
-        // Don't adjust voice settings for other channels.
-        const updateVoice = voice?.channelID && (anyChannel || voice.channelID === this._voiceChannelId);
+        // Don't adjust voice settings for other channels. (The ghost channel counts as part of the lobby.)
+        const ghostChannelId = await this._lobby.getConfig('ghost-channel');
+        const inLobby = [this._voiceChannelId, ghostChannelId].includes(voice?.channelID);
+        const updateVoice = voice?.channelID && (anyChannel || inLobby);
+
+        // Decide which channel the player belongs in.
+        const channelId = this.isGhost ? ghostChannelId : this._voiceChannelId;
 
         // Decide which nickname to use.
         const nick = this.isSpectating ? this.originalNickname : this.amongUsName;
@@ -225,24 +373,8 @@ class Player {
         if (member.manageable && member.displayName !== nick) patch.nick = nick;
         if (updateVoice && voice.serverMute !== mute) patch.mute = mute;
         if (updateVoice && voice.serverDeaf !== deaf) patch.deaf = deaf;
-
-        // Don't waste rate limits on duplicate requests.
-        if (Object.keys(patch).length < 1) return;
-
-        // Reset any existing timeout, to prevent spamming.
-        if (this._nextGuildMemberEditTimeout) {
-            clearTimeout(this._nextGuildMemberEditTimeout);
-            delete this._nextGuildMemberEditTimeout;
-        }
-
-        // Create a new timeout, to post an update after a short delay.
-        this._nextGuildMemberEditTimeout = setTimeout(async () => {
-            delete this._nextGuildMemberEditTimeout;
-
-            // Update the member.
-            this.emit(`Set ${JSON.stringify(patch)}`);
-            await member.edit(patch, `${REASON_PREFIX}${reason ? `: ${reason}` : ''}`);
-        }, 500);
+        if (inLobby && channelId !== 'none' && voice.channelID !== channelId) patch.channel = channelId;
+        return patch;
     }
 
     emit(message) {
@@ -0,0 +1,126 @@
+const Database = require('./Database');
+const hashUserId = require('../lib/hashUserId');
+const database = new Database('stats');
+
+/**
+ * Statistics about a single Discord user's games within a single guild.
+ *
+ * Like user configs, stats are stored against a hash of the user's Discord ID rather than the ID itself.
+ */
+class PlayerStats {
+    static async load(guildId, userId) {
+        if (!guildId) throw new Error("Can't look up player stats without a guild id.");
+        if (!userId) throw new Error("Can't look up player stats without a user id.");
+        const userHash = hashUserId(userId);
+        const documentId = `stats:${guildId}:${userHash}`;
+        const document = await database.get(documentId).catch(error => console.error(error));
+        return new PlayerStats(document ?? { _id: documentId, guildId, userHash });
+    }
+
+    /**
+     * Load the stats for everyone who has played in a guild.
+     *
+     * @param {string} guildId
+     * @returns {Promise<PlayerStats[]>}
+     */
+    static async loadGuild(guildId) {
+        const documents = await database.find({ guildId });
+        return documents.map(document => new PlayerStats(document));
+    }
+
+    static async gatherUserData(userId) {
+        const documents = await database.find({ userHash: hashUserId(userId) });
+        return documents.map(document => new PlayerStats(document).toJSON());
+    }
+
+    static async deleteUserData(userId) {
+        const documents = await database.find({ userHash: hashUserId(userId) });
+        await Promise.all(documents.map(document => database.delete(document)));
+    }
+
+    constructor({ ...document }) {
+        this._document = {
+            gamesPlayed: 0,
+            gamesSurvived: 0,
+            deaths: 0,
+            exiles: 0,
+            colors: {},
+            currentStreak: 0,
+            longestStreak: 0,
+            ...document
+        };
+    }
+
+    get userHash() { return this._document.userHash; }
+
+    /**
+     * The in-game name the player used most recently, for showing when their Discord user can't be found.
+     * @returns {string}
+     */
+    get amongUsName() { return this._document.amongUsName; }
+
+    get gamesPlayed() { return this._document.gamesPlayed; }
+
+    get deaths() { return this._document.deaths; }
+
+    get exiles() { return this._document.exiles; }
+
+    get longestStreak() { return this._document.longestStreak; }
+
+    /**
+     * The fraction of games played in which the player survived to the end. (Between 0 and 1.)
+     * @returns {number}
+     */
+    get survivalRate() {
+        if (!this.gamesPlayed) return 0;
+        return this._document.gamesSurvived / this.gamesPlayed;
+    }
+
+    /**
+     * The color the player has used most often.
+     * @returns {string}
+     */
+    get favoriteColor() {
+        const [favorite] = Object.entries(this._document.colors).sort(([, a], [, b]) => b - a);
+        return favorite?.[0];
+    }
+
+    /**
+     * Record the results of a match for this player.
+     *
+     * @param {object} result
+     * @param {string} [result.name] - In-game name the player used.
+     * @param {string} [result.color] - Color the player used.
+     * @param {boolean} [result.killed] - Whether the player was killed.
+     * @param {boolean} [result.exiled] - Whether the player was exiled.
+     */
+    recordMatch({ name, color, killed, exiled }) {
+        const document = this._document;
+        document.gamesPlayed++;
+        if (name) document.amongUsName = name;
+        if (color) document.colors[color] = (document.colors[color] ?? 0) + 1;
+
+        if (killed) document.deaths++;
+        if (exiled) document.exiles++;
+
+        // Track how many games in a row the player has survived.
+        if (killed || exiled) document.currentStreak = 0;
+        else {
+            document.gamesSurvived++;
+            document.currentStreak++;
+            document.longestStreak = Math.max(document.longestStreak, document.currentStreak);
+        }
+    }
+
+    async save() {
+        const updates = await database.set(this._document).catch(error => console.error(error));
+        if (updates) this._document._rev = updates.rev;
+    }
+
+    toJSON() {
+        const { _id, _rev, userHash, ...json } = this._document;
+        return json;
+    }
+}
+
+module.exports = PlayerStats;
@@ -2,6 +2,8 @@
 const codePattern = /^[a-z]{6}$/i;
 
 class Room {
+    static get CODE_PATTERN() { return codePattern; }
+
     constructor({code, region}) {
         if (typeof code !== 'string' || !code.match(codePattern)) throw new Error("That room code doesn't make sense");
         else code = code.toUpperCase();
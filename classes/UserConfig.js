@@ -1,15 +1,11 @@
-const crypto = require('crypto');
 const Database = require('./Database');
+const hashUserId = require('../lib/hashUserId');
 const database = new Database('users');
 
 class UserConfig {
     static async load(userId) {
         if (!userId) throw new Error("Can't look up a user config without a user id.");
-        const hash = crypto
-            .createHash('sha256')
-            .update(userId)
-            .digest('hex');
-        const documentId = `user:${hash}`;
+        const documentId = `user:${hashUserId(userId)}`;
 
         // TODO Remove this upgrade logic.
         const [document, legacyDocument] = await Promise.all([
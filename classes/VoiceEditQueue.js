@@ -0,0 +1,229 @@
+/**
+ * The priorities of queued edits. Lower values go first.
+ */
+const PRIORITY = {
+    // Edits that mute or deafen someone, which prevent cross-talk.
+    HIGH: 0,
+    // Everything else.
+    LOW: 1
+};
+
+/**
+ * How long to wait before processing new edits, so a whole batch can be queued (and sorted) together.
+ */
+const BATCH_DELAY = 100;
+
+/**
+ * How long to wait before retrying after a failed edit.
+ */
+const RETRY_DELAY = 1000;
+
+/**
+ * How many times to try an edit before giving up on it.
+ */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * How many recent edits to include when measuring latency.
+ */
+const LATENCY_SAMPLES = 50;
+
+/**
+ * Edits that take longer than this (from queueing to finishing) are reported.
+ */
+const SLOW_EDIT_THRESHOLD = 2000;
+
+/**
+ * Maps guild IDs to their queues.
+ * @type {Map<string, VoiceEditQueue>}
+ */
+const queuesByGuild = new Map();
+
+/**
+ * Identifies whether a failed edit might work if it's tried again.
+ * Client errors (like missing permissions or members who left) will just fail again.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const status = error.httpStatus ?? error.status;
+    return !status || status === 429 || status >= 500;
+}
+
+/**
+ * A queue of guild member edits for a single guild.
+ *
+ * Discord rate-limits member edits per guild, so edits are made one at a time in order of priority. If a guild member
+ * is edited again while an earlier edit is still waiting, only the latest one is made.
+ */
+class VoiceEditQueue {
+    static get PRIORITY() { return PRIORITY; }
+
+    /**
+     * Get the queue for a guild, creating it if necessary.
+     *
+     * @param {string} guildId
+     * @returns {VoiceEditQueue}
+     */
+    static forGuild(guildId) {
+        if (!queuesByGuild.has(guildId)) queuesByGuild.set(guildId, new VoiceEditQueue(guildId));
+        return queuesByGuild.get(guildId);
+    }
+
+    /**
+     * Pause the affected queue when Discord reports that member edits have been rate-limited.
+     *
+     * @param {object} rateLimitInfo - Info from the client's `rateLimit` event.
+     */
+    static handleRateLimit({ timeout, path }) {
+        const [, guildId] = path?.match(/\/guilds\/(\d+)\/members\//) ?? [];
+        if (guildId && queuesByGuild.has(guildId)) queuesByGuild.get(guildId).pause(timeout);
+    }
+
+    /**
+     * The average latency of recent edits across all guilds, in milliseconds.
+     * @returns {number}
+     */
+    static getAverageLatency() {
+        const latencies = [...queuesByGuild.values()].flatMap(queue => queue._latencies);
+        if (!latencies.length) return 0;
+        return Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length);
+    }
+
+    constructor(guildId) {
+        this.guildId = guildId;
+
+        /**
+         * The edits waiting to be made, mapped by guild member id.
+         * @type {Map<string, {id: string, priority: number, edit: function(): Promise<void>, queuedAt: number, attempts: number}>}
+         * @private
+         */
+        this._pending = new Map();
+
+        /**
+         * The latencies of recent edits, in milliseconds.
+         * @type {number[]}
+         * @private
+         */
+        this._latencies = [];
+
+        /**
+         * Callbacks waiting for the queue to empty.
+         * @type {function[]}
+         * @private
+         */
+        this._drainCallbacks = [];
+    }
+
+    get size() { return this._pending.size; }
+
+    /**
+     * Queue an edit for a guild member, replacing any edit for them that's still waiting.
+     *
+     * The edit function should work out what needs to change when it's called, since the member's state may have
+     * changed while it was waiting.
+     *
+     * @param {string} id - ID of the guild member.
+     * @param {number} priority - One of the values of VoiceEditQueue.PRIORITY.
+     * @param {function(): Promise<void>} edit - Makes the actual edit.
+     */
+    enqueue(id, priority, edit) {
+        const existing = this._pending.get(id);
+
+        // Keep the original queue time when replacing an edit, so the latency is measured accurately.
+        this._pending.set(id, {
+            id,
+            priority,
+            edit,
+            queuedAt: existing?.queuedAt ?? Date.now(),
+            attempts: 0
+        });
+        this.scheduleProcessing(BATCH_DELAY);
+    }
+
+    /**
+     * Stop making edits for a while.
+     *
+     * @param {number} duration - How long to pause, in milliseconds.
+     */
+    pause(duration) {
+        this._pausedUntil = Math.max(this._pausedUntil ?? 0, Date.now() + duration);
+        this.emit(`Paused for ${duration}ms`);
+    }
+
+    /**
+     * Immediately make all the waiting edits.
+     * @returns {Promise<void>} - Resolves once the queue is empty.
+     */
+    drain() {
+        if (!this.size && !this._processing) return Promise.resolve();
+        delete this._pausedUntil;
+        const drained = new Promise(resolve => this._drainCallbacks.push(resolve));
+        this.scheduleProcessing(0);
+        return drained;
+    }
+
+    scheduleProcessing(delay) {
+        // If edits are already being processed, the new one will be picked up.
+        if (this._processing) return;
+
+        // Reset any existing timeout, so new edits can join the batch.
+        if (this._processTimeout) clearTimeout(this._processTimeout);
+
+        // Wait until after any pause.
+        const pauseRemaining = (this._pausedUntil ?? 0) - Date.now();
+        this._processTimeout = setTimeout(() => {
+            delete this._processTimeout;
+            this.process().catch(error => console.error(error));
+        }, Math.max(delay, pauseRemaining));
+    }
+
+    async process() {
+        this._processing = true;
+
+        while (this.size) {
+            // If the queue has been paused, resume later.
+            if (this._pausedUntil > Date.now()) break;
+
+            // Take the highest-priority edit, then the oldest.
+            const [next] = [...this._pending.values()]
+                .sort((a, b) => a.priority - b.priority || a.queuedAt - b.queuedAt);
+            this._pending.delete(next.id);
+
+            try {
+                next.attempts++;
+                await next.edit();
+                this.recordLatency(Date.now() - next.queuedAt);
+            } catch (error) {
+                // Retry, unless the edit was already replaced or can't succeed.
+                if (isRetryable(error) && next.attempts < MAX_ATTEMPTS && !this._pending.has(next.id)) {
+                    this.emit(`Retrying edit for ${next.id} (Attempt ${next.attempts}): ${error.message}`);
+                    this._pending.set(next.id, next);
+                    this.pause(RETRY_DELAY);
+                }
+                else console.error(`Failed to edit guild member ${next.id}:`, error);
+            }
+        }
+
+        this._processing = false;
+
+        // If anything is left, pick it up again later.
+        if (this.size) this.scheduleProcessing(0);
+
+        // Otherwise, let anyone waiting know the queue is empty.
+        else this._drainCallbacks.splice(0).forEach(callback => callback());
+    }
+
+    recordLatency(latency) {
+        this._latencies.push(latency);
+        if (this._latencies.length > LATENCY_SAMPLES) this._latencies.shift();
+        if (latency > SLOW_EDIT_THRESHOLD) this.emit(`Slow edit: ${latency}ms (${this.size} still waiting)`);
+    }
+
+    emit(message) {
+        console.log(`VoiceEditQueue ${this.guildId}: ${message}`);
+    }
+}
+
+module.exports = VoiceEditQueue;
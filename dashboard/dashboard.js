@@ -0,0 +1,109 @@
+/*
+ * The lobby dashboard, for hosts running a lobby from their browser.
+ *
+ * The connect code and API token are passed in the URL fragment (so they're never sent to the server in the URL):
+ * /dashboard/#connectCode=<connect code>&token=<API token>
+ */
+(function () {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const connectCode = params.get('connectCode');
+    const token = params.get('token');
+    const lobbyUrl = `/api/lobbies/${encodeURIComponent(connectCode)}`;
+
+    const statusDisplay = document.getElementById('status');
+    const main = document.querySelector('main');
+
+    function showStatus(message, isError = false) {
+        statusDisplay.textContent = message;
+        statusDisplay.classList.toggle('error', isError);
+    }
+
+    /**
+     * Render the current state of the lobby.
+     * @param {object} lobby - The lobby, as returned by the API.
+     */
+    function render(lobby) {
+        main.hidden = false;
+        document.getElementById('phase').textContent = lobby.phase;
+        document.getElementById('automation').textContent = lobby.automation;
+        document.getElementById('room').textContent = lobby.room
+            ? `${lobby.room.code} (${lobby.room.region})`
+            : 'Not Listed';
+
+        // Rebuild the player list.
+        const rows = lobby.players
+            .filter(player => player.amongUsName)
+            .map(player => {
+                const row = document.createElement('tr');
+                const isDead = player.status === 'Dead' || player.status === 'Dying';
+                row.classList.toggle('dead', isDead);
+                [player.amongUsName, player.amongUsColor || 'Untracked', player.status].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+
+                // Add a button to kill or revive the player.
+                const actionCell = document.createElement('td');
+                const button = document.createElement('button');
+                const action = isDead ? 'revive' : 'kill';
+                button.textContent = isDead ? 'Revive' : 'Kill';
+                button.addEventListener('click', () => {
+                    request('POST', `/players/${encodeURIComponent(player.amongUsName)}/${action}`);
+                });
+                actionCell.appendChild(button);
+                row.appendChild(actionCell);
+                return row;
+            });
+        document.getElementById('players').replaceChildren(...rows);
+    }
+
+    /**
+     * Make a request against the lobby API, then render the result.
+     *
+     * @param {string} method - HTTP method.
+     * @param {string} [path] - Path, relative to the lobby.
+     * @param {object} [body] - JSON body to send.
+     */
+    function request(method, path = '', body) {
+        const headers = { Authorization: `Bearer ${token}` };
+        if (body) headers['Content-Type'] = 'application/json';
+        return fetch(`${lobbyUrl}${path}`, { method, headers, body: body && JSON.stringify(body) })
+            .then(async response => {
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.message || response.statusText);
+                showStatus(`Connected to lobby ${connectCode}`);
+                render(result);
+            })
+            .catch(error => showStatus(error.message, true));
+    }
+
+    // Wire up the controls.
+    document.querySelectorAll('[data-phase]').forEach(button => {
+        button.addEventListener('click', () => request('POST', '/phase', { phase: button.dataset.phase }));
+    });
+    document.getElementById('room-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const { code, region } = event.target.elements;
+        request('PUT', '/room', { code: code.value, region: region.value });
+    });
+    document.getElementById('unlist').addEventListener('click', () => request('DELETE', '/room'));
+
+    if (!connectCode || !token) return showStatus('This link is missing the connect code or API token.', true);
+
+    // Load the lobby, then follow its updates.
+    request('GET');
+    const socket = io('/overlay', { query: { connectCode, token } });
+    socket.on('lobby', render);
+    const events = ['phase', 'playerJoin', 'playerLeave', 'playerDisconnect', 'playerReconnect', 'death', 'revive', 'room', 'capture'];
+    events.forEach(event => socket.on(event, ({ lobby }) => render(lobby)));
+    socket.on('connectCodeChanged', ({ lobby }) => {
+        render(lobby);
+        showStatus("The lobby's connect code was replaced. Open the new dashboard link from the host's DM.", true);
+    });
+    socket.on('stopped', ({ reason }) => {
+        main.hidden = true;
+        showStatus(`The lobby has ended. ${reason || ''}`);
+        socket.close();
+    });
+})();
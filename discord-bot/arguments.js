@@ -0,0 +1,294 @@
+const Room = require('../classes/Room');
+const { OPTION_TYPE } = require('./interactions');
+
+/**
+ * The kinds of arguments commands can take.
+ */
+const TYPE = {
+    // A single guild member, as an at-mention. (Or `me`, if allowed.)
+    MEMBER: 'Member',
+    // Any number of guild members, as at-mentions. (Or `me`, if allowed.)
+    MEMBERS: 'Members',
+    // One of a list of words.
+    CHOICE: 'Choice',
+    // An Among Us room code.
+    ROOM_CODE: 'Room Code',
+    // A single word.
+    WORD: 'Word',
+    // All the remaining text.
+    TEXT: 'Text'
+};
+
+const MENTION_PATTERN = /^<@!?(\d+)>$/;
+const ME_PATTERN = /^me$/i;
+
+/**
+ * The server regions, in the short forms players type.
+ */
+const REGION_CHOICES = [
+    { value: 'na', name: 'North America', aliases: ['us'] },
+    { value: 'eu', name: 'Europe' },
+    { value: 'asia', name: 'Asia', aliases: ['as'] }
+];
+
+/**
+ * Split the first word off some text.
+ *
+ * @param {string} text
+ * @returns {{token: string, rest: string}} - The token is empty if there's nothing left.
+ */
+function nextToken(text) {
+    const [, token = '', rest = ''] = text.match(/^(\S+)\s*([\s\S]*)$/) ?? [];
+    return { token, rest };
+}
+
+/**
+ * Find the choice matching a word, by its value or one of its aliases.
+ *
+ * @param {{value: string, aliases?: string[]}[]} choices
+ * @param {string} word
+ * @returns {string} - The value of the matching choice, if any.
+ */
+function findChoice(choices, word) {
+    const lowercase = word.toLowerCase();
+    return choices.find(({ value, aliases = [] }) => [value, ...aliases].includes(lowercase))?.value;
+}
+
+/**
+ * Something a command expects to be given, after its alias.
+ */
+class Argument {
+    static get TYPE() { return TYPE; }
+
+    /**
+     * @param {string} name
+     * @param {string} description
+     * @param {object} [options]
+     * @param {boolean} [options.required]
+     * @param {boolean} [options.allowMe] - Accept `me` for the person using the command.
+     * @returns {Argument}
+     */
+    static member(name, description, { required = false, allowMe = true } = {}) {
+        return new Argument({ name, type: TYPE.MEMBER, description, required, allowMe });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} description
+     * @param {object} [options]
+     * @param {boolean} [options.required] - Require at least one member.
+     * @param {boolean} [options.allowMe] - Accept `me` for the person using the command.
+     * @returns {Argument}
+     */
+    static members(name, description, { required = false, allowMe = true } = {}) {
+        return new Argument({ name, type: TYPE.MEMBERS, description, required, allowMe });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} description
+     * @param {{value: string, name?: string, aliases?: string[]}[]} choices - Values should be lowercase.
+     * @param {object} [options]
+     * @param {boolean} [options.required]
+     * @returns {Argument}
+     */
+    static choice(name, description, choices, { required = false } = {}) {
+        return new Argument({ name, type: TYPE.CHOICE, description, required, choices });
+    }
+
+    /**
+     * A server region, as one of the short forms accepted by rooms.
+     *
+     * @param {string} [name]
+     * @returns {Argument}
+     */
+    static region(name = 'region') {
+        return Argument.choice(name, 'The server region. (Default: North America)', REGION_CHOICES);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} description
+     * @param {object} [options]
+     * @param {boolean} [options.required]
+     * @param {{value: string, aliases?: string[]}[]} [options.keywords] - Words to accept instead of a room code.
+     * @returns {Argument}
+     */
+    static roomCode(name, description, { required = false, keywords = [] } = {}) {
+        return new Argument({ name, type: TYPE.ROOM_CODE, description, required, choices: keywords });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} description
+     * @param {object} [options]
+     * @param {boolean} [options.required]
+     * @returns {Argument}
+     */
+    static word(name, description, { required = false } = {}) {
+        return new Argument({ name, type: TYPE.WORD, description, required });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} description
+     * @param {object} [options]
+     * @param {boolean} [options.required]
+     * @param {string} [options.label] - How to show the argument in the usage, if not its name.
+     * @returns {Argument}
+     */
+    static text(name, description, { required = false, label } = {}) {
+        return new Argument({ name, type: TYPE.TEXT, description, required, label });
+    }
+
+    constructor({ name, type, description, required = false, allowMe = false, choices = [], label = name }) {
+        if (!Object.values(TYPE).includes(type)) throw new Error(`Invalid argument type: ${type}`);
+        this.name = name;
+        this.type = type;
+        this.description = description;
+        this.required = required;
+        this.allowMe = allowMe;
+        this.choices = choices;
+        this.label = label;
+        Object.freeze(this);
+    }
+
+    /**
+     * How to write the argument, in the standard `<required> [optional]` format.
+     * @returns {string}
+     */
+    toUsage() {
+        const { type, allowMe, choices, label, required } = this;
+        const words = choices.map(({ value }) => value);
+        let usage;
+        switch (type) {
+            case TYPE.MEMBER:
+                usage = allowMe ? 'me|@mention' : '@mention';
+                break;
+            case TYPE.MEMBERS:
+                usage = allowMe ? 'me|@mentions...' : '@mentions...';
+                break;
+            case TYPE.CHOICE:
+                usage = words.join('|');
+                break;
+            case TYPE.ROOM_CODE:
+                usage = ['room code', ...words].join('|');
+                break;
+            default:
+                usage = label;
+        }
+        return required ? `<${usage}>` : `[${usage}]`;
+    }
+
+    /**
+     * The options to use for this argument in a slash command.
+     * @returns {object[]}
+     */
+    toSlashOptions() {
+        const { name, type, description, required, choices } = this;
+        switch (type) {
+            case TYPE.MEMBER:
+                return [{ name, type: OPTION_TYPE.USER, description, required }];
+            case TYPE.MEMBERS:
+                // Slash commands can't take a list of users, so anyone else can be mentioned in text.
+                return [
+                    { name, type: OPTION_TYPE.USER, description, required },
+                    { name: `more-${name}`, type: OPTION_TYPE.STRING, description: 'Anyone else, as @mentions.' }
+                ];
+            case TYPE.CHOICE:
+                const slashChoices = choices.map(({ value, name = value }) => ({ name, value }));
+                return [{ name, type: OPTION_TYPE.STRING, description, required, choices: slashChoices }];
+            default:
+                return [{ name, type: OPTION_TYPE.STRING, description, required }];
+        }
+    }
+
+    /**
+     * Read the argument from the start of the remaining text.
+     * Optional arguments that aren't there have an undefined value. (Or an empty list, for multiple members.)
+     *
+     * @param {string} text - The text left after any earlier arguments.
+     * @param {Discord.Message} message - The message with the command, for resolving mentions.
+     * @returns {Promise<{value: *, rest: string}>} - The value, and the text left after the argument.
+     */
+    async parse(text, message) {
+        const { type, choices, required, label } = this;
+        const { token, rest } = nextToken(text);
+
+        // Handle missing arguments.
+        if (!token) {
+            if (required) throw new Error(`You need to provide the ${label}.`);
+            return { value: type === TYPE.MEMBERS ? [] : undefined, rest };
+        }
+
+        switch (type) {
+            case TYPE.MEMBER:
+                if (!this.isMember(token)) break;
+                return { value: await this.resolveMember(token, message), rest };
+
+            case TYPE.MEMBERS:
+                // Keep taking members until the next word isn't one.
+                const members = [];
+                let remaining = text;
+                for (let next = nextToken(remaining); this.isMember(next.token); next = nextToken(remaining)) {
+                    members.push(await this.resolveMember(next.token, message));
+                    remaining = next.rest;
+                }
+                if (!members.length) break;
+                return { value: members, rest: remaining };
+
+            case TYPE.CHOICE:
+                const choice = findChoice(choices, token);
+                if (!choice) {
+                    const options = choices.map(({ value }) => `\`${value}\``).join(', ');
+                    throw new Error(`I don't recognize \`${token}\`. The ${label} can be: ${options}`);
+                }
+                return { value: choice, rest };
+
+            case TYPE.ROOM_CODE:
+                const keyword = findChoice(choices, token);
+                if (keyword) return { value: keyword, rest };
+                if (!token.match(Room.CODE_PATTERN)) throw new Error(`\`${token}\` doesn't look like a room code.`);
+                return { value: token.toUpperCase(), rest };
+
+            case TYPE.WORD:
+                return { value: token, rest };
+
+            case TYPE.TEXT:
+                return { value: text.trim(), rest: '' };
+        }
+
+        // If there weren't any members, leave the text for the next argument.
+        if (required) throw new Error(`You need to provide the ${label}.`);
+        return { value: type === TYPE.MEMBERS ? [] : undefined, rest: text.trim() };
+    }
+
+    /**
+     * Identifies whether a word refers to a guild member.
+     *
+     * @param {string} token
+     * @returns {boolean}
+     */
+    isMember(token) {
+        return Boolean(token.match(MENTION_PATTERN) || (this.allowMe && token.match(ME_PATTERN)));
+    }
+
+    /**
+     * Find the guild member a word refers to.
+     *
+     * @param {string} token - An at-mention, or `me`.
+     * @param {Discord.Message} message
+     * @returns {Promise<Discord.GuildMember>}
+     */
+    async resolveMember(token, message) {
+        if (!message.guild) throw new Error("You can only mention people from a server's text channel.");
+        if (token.match(ME_PATTERN)) return message.member;
+
+        const [, id] = token.match(MENTION_PATTERN);
+        const member = message.mentions.members?.get(id) ?? await message.guild.members.fetch(id).catch(() => null);
+        if (!member) throw new Error(`I can't find ${token} in this server.`);
+        return member;
+    }
+}
+
+module.exports = Argument;
@@ -1,17 +1,42 @@
 const Command = require('.');
 const { MessageEmbed } = require('discord.js');
+const Argument = require('../arguments');
+
+/**
+ * Discord limits the length of embed fields.
+ */
+const MAX_FIELD_LENGTH = 1024;
 
 module.exports = new Command({
     aliases: ['help', 'h', '?'],
+    args: [
+        Argument.word('topic', 'A command or category to get help with, or `more` for all the commands.')
+    ],
+    description: 'Show the commands you can use, or how to use one of them.',
+    examples: [
+        { description: 'Show the most important commands.' },
+        { args: 'more', description: 'Show all the commands.' },
+        { args: 'kill', description: 'Show how to use the `kill` command, and its examples.' }
+    ],
+    category: 'meta',
     handler: async function () {
         // Load properties from the command context.
-        const { message, prefix: originalPrefix, alias, arguments } = this;
+        const { message, prefix: originalPrefix, alias, args } = this;
 
         // Ignore the original prefix if this is a dm.
         const prefix = message.guild ? originalPrefix : '!sau';
 
-        // Determine if the user wants more.
-        const displayMore = arguments.match(/\bmore\b/i);
+        // Determine what the user wants help with.
+        const topic = args.topic?.toLowerCase();
+        const displayMore = topic === 'more';
+
+        // If they asked about a category or a command, show just that.
+        if (topic && !displayMore) {
+            if (Command.CATEGORIES[topic]) return message.channel.send(createCategoryPage(topic, prefix));
+            const command = Command.find(topic);
+            if (!command) throw new Error(`I can't help with \`${topic}\`. Try \`${prefix} ${alias} more\`.`);
+            return message.channel.send(createCommandPage(command, prefix));
+        }
 
         // Set the description.
         const description = [
@@ -19,63 +44,121 @@ module.exports = new Command({
             "I'll use your current voice channel to find your lobby."
         ].join('\n');
 
-        // Get the commands.
-        const commands = Command.all();
-        const coreCommands = commands.filter(command => command.category === 'core');
-        const moreCommands = commands.filter(command => command.category === 'meta' || command.category === 'more');
-        const manualCommands = commands.filter(command => command.category === 'manual');
-
-        // Generate the examples.
-        // TODO Do this automatically from the command definitions.
-        const coreExamples = [
-            "Here's come examples of how you might use the commands above:",
-            `\`${prefix} start\`: Start a new lobby.`,
-            `\`${prefix} join\`: Join the current lobby using your previously-saved in-game name.`,
-            `\`${prefix} join Alice\`: Set your in-game name to "Alice" and join the current lobby.`
-        ];
-        const moreExamples = [
-            ...coreExamples,
-            `\`${prefix} start abcdef eu\`: Start a new lobby with a room code.`,
-            `\`${prefix} work\`: Start a new game, from intermission, or end a meeting.`,
-            `\`${prefix} kill me @tanner\`: Mark yourself and @tanner as dead. (Must be a real at-mention.)`,
-            `\`${prefix} config set speech off\`: Stop the bot from speaking in the voice channel.`
-        ];
-        const examples = (displayMore ? moreExamples : coreExamples).join('\n\t- ');
+        // Get the categories to list.
+        const categories = Object.keys(Command.CATEGORIES)
+            .filter(category => !Command.CATEGORIES[category].hidden)
+            .filter(category => displayMore || category === 'core');
+
+        // Generate the examples from the commands being listed. (Just the first of each, unless it's important.)
+        const examples = categories
+            .flatMap(category => Command.inCategory(category))
+            .flatMap(command => command.toExampleTexts(prefix).slice(0, command.category === 'core' ? undefined : 1));
 
         // Generate the basic embed.
         const embed = new MessageEmbed()
             .setTitle("Silence Among Us - Help")
             .setURL('https://github.com/tanndev/silence-among-us#silence-among-us')
-            .setDescription(description)
-            .addField('Important Commands', generateHelpText(coreCommands));
-
+            .setDescription(description);
 
-        // If they asked for more, augment the embed with more.
-        if (displayMore) {
-            embed.addField('Other Useful Commands', generateHelpText(moreCommands));
-            embed.addField('Manually Controlling Games', generateHelpText(manualCommands));
-        }
+        // List the commands in each category.
+        categories.forEach(category => {
+            embed.addField(Command.CATEGORIES[category].title, generateHelpText(Command.inCategory(category)));
+        });
 
         // Add examples.
-        embed.addField('Examples', examples);
+        const exampleIntro = "Here's some examples of how you might use the commands above:";
+        embed.addField('Examples', generateList(exampleIntro, examples));
 
         // If they didn't ask for more, augment the embed with ways to get more help.
         if (!displayMore) {
-            embed.addField('Get More Help', `Use \`${prefix} ${alias} more\` for all the commands.`);
-        }
+            // (The `more` category is already covered by `help more`.)
+            const otherCategories = Object.entries(Command.CATEGORIES)
+                .filter(([category, { hidden }]) => !hidden && !['core', 'more'].includes(category))
+                .map(([category, { title }]) => `\`${prefix} ${alias} ${category}\`: ${title}`);
+            embed.addField('Get More Help', generateList([
+                `Use \`${prefix} ${alias} more\` for all the commands.`,
+                `Use \`${prefix} ${alias} <command>\` for details and examples of a single command.`,
+                "Or just see the commands in one category:"
+            ].join('\n'), otherCategories));
 
-        // Add privacy information.
-        const privacy = `Use \`${prefix} privacy\` to review our privacy policy and related commands.`;
-        embed.addField('Privacy & Data Security', privacy);
+            // Add privacy information.
+            const privacy = `Use \`${prefix} privacy\` to review our privacy policy and related commands.`;
+            embed.addField('Privacy & Data Security', privacy);
+        }
 
         return message.channel.send(embed);
     }
 });
 
+/**
+ * Create a help page listing the commands in a single category.
+ *
+ * @param {string} category
+ * @param {string} prefix
+ * @returns {MessageEmbed}
+ */
+function createCategoryPage(category, prefix) {
+    const commands = Command.inCategory(category);
+    const examples = commands.flatMap(command => command.toExampleTexts(prefix));
+
+    const embed = new MessageEmbed()
+        .setTitle(`Silence Among Us - Help - ${Command.CATEGORIES[category].title}`)
+        .setURL('https://github.com/tanndev/silence-among-us#silence-among-us')
+        .addField('Commands', generateHelpText(commands));
+    if (examples.length) embed.addField('Examples', generateList('', examples));
+    return embed;
+}
+
+/**
+ * Create a help page with the details of a single command.
+ *
+ * @param {Command} command
+ * @param {string} prefix
+ * @returns {MessageEmbed}
+ */
+function createCommandPage(command, prefix) {
+    const { name, aliases, description, details, args, category } = command;
+
+    const embed = new MessageEmbed()
+        .setTitle(`Silence Among Us - Help - ${name}`)
+        .setURL('https://github.com/tanndev/silence-among-us#silence-among-us')
+        .setDescription([description, details].filter(text => text).join('\n\n'))
+        .addField('Usage', `\`${`${prefix} ${name} ${command.usage}`.trim()}\``);
+
+    // Describe each of the arguments.
+    if (args.length) {
+        const argumentList = args.map(argument => `\`${argument.toUsage()}\`: ${argument.description}`);
+        embed.addField('Options', generateList('', argumentList));
+    }
+
+    // Add the examples.
+    const examples = command.toExampleTexts(prefix);
+    if (examples.length) embed.addField('Examples', generateList('', examples));
+
+    // Show the other ways to use the command.
+    if (aliases.length > 1) embed.addField('Aliases', aliases.map(alias => `\`${alias}\``).join(', '), true);
+    embed.addField('Category', Command.CATEGORIES[category].title, true);
+
+    return embed;
+}
+
 function generateHelpText(commands) {
-    return commands
-        .map(command => command.toHelpText())
-        .filter(text => text)
-        .map(text => `\t- ${text}`)
-        .join('\n');
-}
\ No newline at end of file
+    return generateList('', commands.map(command => command.toHelpText()));
+}
+
+/**
+ * Build a bulleted list for an embed field, leaving out any items that won't fit.
+ *
+ * @param {string} intro - Text to show before the list.
+ * @param {string[]} items
+ * @returns {string}
+ */
+function generateList(intro, items) {
+    let text = intro;
+    for (const item of items) {
+        const line = `${text ? '\n' : ''}\t- ${item}`;
+        if (text.length + line.length > MAX_FIELD_LENGTH) break;
+        text += line;
+    }
+    return text || 'None';
+}
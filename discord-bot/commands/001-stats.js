@@ -1,17 +1,43 @@
 const Command = require('.');
+const Argument = require('../arguments');
 const { MessageEmbed } = require('discord.js');
 const { getGuildCount } = require('../discord-bot');
 const { version = 'is unreleased' } = require('../../package.json');
 const { url } = require('../../lib/server');
 const Lobby = require('../../classes/Lobby');
+const PlayerStats = require('../../classes/PlayerStats');
+const VoiceEditQueue = require('../../classes/VoiceEditQueue');
 
 module.exports = new Command({
     aliases: ['stats', 'version', 'v'],
-    description: "Get stats about the server running this bot.",
+    args: [
+        Argument.member('player', 'A player to get stats for.')
+    ],
+    description: "Get stats about the server running this bot, or about a player.",
     category: 'meta',
     handler: async function() {
         // Load properties from the command context.
-        const { message } = this;
+        const { message, args } = this;
+
+        // If a player was requested, show their stats instead.
+        const target = args.player;
+        if (target) {
+            const guild = await this.requireGuild();
+            const stats = await PlayerStats.load(guild.id, target.id);
+            if (!stats.gamesPlayed) return message.reply(`<@${target.id}> hasn't finished any games here yet.`);
+
+            const survivalRate = Math.round(stats.survivalRate * 100);
+            return message.channel.send(new MessageEmbed()
+                .setTitle(`Among Us - Stats for ${target.displayName}`)
+                .addField('Games Played', stats.gamesPlayed, true)
+                .addField('Survival Rate', `${survivalRate}%`, true)
+                .addField('Longest Survival Streak', stats.longestStreak, true)
+                .addField('Deaths', stats.deaths, true)
+                .addField('Times Exiled', stats.exiles, true)
+                .addField('Favorite Color', stats.favoriteColor ?? 'None', true)
+            );
+        }
+
         const [guildsSupported, lobbiesInProgress] = await Promise.all([getGuildCount(), Lobby.getLobbyCount()]);
 
         const embed = new MessageEmbed()
@@ -20,10 +46,11 @@ module.exports = new Command({
             .setDescription([
                 `**Version ${version}**`,
                 `${guildsSupported} guilds supported`,
-                `${lobbiesInProgress} lobbies in progress`
+                `${lobbiesInProgress} lobbies in progress`,
+                `${VoiceEditQueue.getAverageLatency()}ms average voice edit latency`
             ].join('\n'))
             .addField('API Server', url);
 
         return message.channel.send(embed);
     }
-});
\ No newline at end of file
+});
@@ -1,19 +1,27 @@
 const Command = require('.');
 const UserConfig = require('../../classes/UserConfig');
+const Argument = require('../arguments');
 
 module.exports = new Command({
     aliases: ['join', 'j'],
-    options: '[in-game name]',
+    args: [
+        Argument.text('name', "Your in-game name, if it's new or changed.", { label: 'in-game name' })
+    ],
     description: 'Join the lobby as a player.',
+    details: "I'll remember your in-game name, so you only need to give it the first time, or when it changes.",
+    examples: [
+        { description: 'Join the current lobby using your previously-saved in-game name.' },
+        { args: 'Alice', description: 'Set your in-game name to "Alice" and join the current lobby.' }
+    ],
     category: 'core',
     handler: async function() {
         // Load properties from the command context.
-        const { arguments } = this;
+        const { args } = this;
         const guildMember = await this.requireGuildMember();
         const lobby = await this.requireLobby();
 
         const userConfig = await UserConfig.load(guildMember.id);
-        if (arguments) await userConfig.updateAmongUsName(arguments);
+        if (args.name) await userConfig.updateAmongUsName(args.name);
         if (!userConfig.amongUsName) {
             throw new Error("I don't know your in-game name yet, so you need to provide it to join.");
         }
@@ -1,17 +1,20 @@
 const Command = require('.');
+const Argument = require('../arguments');
 
 
 module.exports = new Command({
     aliases: ['eject', 'e'],
-    options: '<@mentions...>',
+    args: [
+        Argument.members('players', 'A player to remove from the lobby.', { required: true, allowMe: false })
+    ],
     description: 'Remove players from the lobby, as if they used `leave`.',
     category: 'more',
     handler: async function() {
         // Load properties from the command context.
-        const { message } = this;
+        const { args } = this;
         const lobby = await this.requireLobby();
 
         // Eject all the at-mentioned people.
-        await lobby.guildMemberEject(...message.mentions.members.array());
+        await lobby.guildMemberEject(...args.players);
     }
 });
\ No newline at end of file
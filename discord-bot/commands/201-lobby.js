@@ -1,12 +1,88 @@
+const { MessageEmbed } = require('discord.js');
 const Command = require('.');
+const GuildConfig = require('../../classes/GuildConfig');
+const LobbyConfig = require('../../classes/LobbyConfig');
+const Argument = require('../arguments');
 
 module.exports = new Command({
     aliases: ['lobby'],
-    description: 'Re-post information about the lobby.',
+    args: [
+        Argument.choice('subcommand', 'Use `config` to adjust the settings for just this lobby.', [{ value: 'config' }]),
+        Argument.choice('action', 'What to do with the settings.', GuildConfig.ACTIONS),
+        Argument.word('option', 'The setting to use.'),
+        Argument.text('value', 'The new value, when setting it.')
+    ],
+    description: 'Re-post information about the lobby, or adjust how the bot works in just this lobby.',
+    examples: [
+        { description: 'Re-post the information about the lobby.' },
+        { args: 'config set speech off', description: 'Stop the bot from speaking, but only in this lobby.' }
+    ],
     category: 'more',
     handler: async function() {
         // Load properties from the command context.
+        const { message, args, prefix, alias } = this;
+        const { subcommand, action, option: key, value } = args;
         const lobby = await this.requireLobby();
-        await lobby.scheduleInfoPost({ force: true });
+
+        // Without a subcommand, just re-post the lobby info.
+        if (!subcommand) return lobby.scheduleInfoPost({ force: true });
+
+        // Get the lobby config.
+        const lobbyConfig = await lobby.getConfig();
+
+        // Generate a command prefix for help texts.
+        const cmd = `${prefix} ${alias} config `;
+
+        // Handle the command.
+        switch (action) {
+            // If there's no action...
+            case undefined:
+                // Create an embed.
+                const embed = new MessageEmbed()
+                    .setTitle(`Silence Among Us - Lobby Configuration for "${lobby.voiceChannel.name}"`)
+                    .setDescription([
+                        "These options override the server's settings, for this lobby only.",
+                        `\`${cmd}get <option>\`: Find out what an options is currently to.`,
+                        `\`${cmd}set <option> <value>\`: Update an option with a new value, just for this lobby.`,
+                        `\`${cmd}reset <option>\`: Go back to using the server's setting.`
+                    ].join('\n'));
+
+                // Add a field for all parameters.
+                Object.entries(LobbyConfig.SETTINGS).forEach(([key, { options, description }]) => {
+                    const source = lobbyConfig.usesGuildValue(key) ? 'Server setting' : 'Lobby setting';
+                    const meta = [`_Current:_ \`${lobbyConfig.get(key)}\` (${source})`];
+                    if (options) meta.push(`_Options:_ ${options.map(option => `\`${option}\``).join(', ')}`);
+                    embed.addField(key, `${meta.join('; ')}\n${description}`.trim());
+                });
+
+                // Send the embed.
+                await message.channel.send(embed);
+                break;
+
+            // If the action is 'get'...
+            case 'get':
+                if (!key) return message.reply(`You need to specify an option: \`${cmd}get <option>\``);
+                const gotSetting = lobbyConfig.get(key);
+                const sourceDisplay = lobbyConfig.usesGuildValue(key) ? ' (Server setting)' : '';
+                await message.reply(`Current \`${key}\` setting: \`${gotSetting.toString()}\`${sourceDisplay}`);
+                break;
+
+            // If the action is 'set'...
+            case 'set':
+                await this.requireHostOrModerator(lobby);
+                if (!key) return message.reply(`You need to specify an option: \`${cmd}set <option> <value>\``);
+                if (!value) throw new Error(`You need to specify a value: \`${cmd}set <option> <value>\``);
+                const setSetting = lobbyConfig.set(key, value);
+                await message.reply(`Updated \`${key}\` setting for this lobby: \`${setSetting.toString()}\``);
+                break;
+
+            // If the action is 'reset'...
+            case 'reset':
+                await this.requireHostOrModerator(lobby);
+                if (!key) return message.reply(`You need to specify an option: \`${cmd}reset <option>\``);
+                const resSetting = lobbyConfig.reset(key);
+                await message.reply(`Reset \`${key}\` setting for this lobby: \`${resSetting.toString()}\` (Server setting)`);
+                break;
+        }
     }
-});
\ No newline at end of file
+});
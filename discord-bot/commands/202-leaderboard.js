@@ -0,0 +1,72 @@
+const Command = require('.');
+const { MessageEmbed } = require('discord.js');
+const PlayerStats = require('../../classes/PlayerStats');
+const hashUserId = require('../../lib/hashUserId');
+const Argument = require('../arguments');
+
+/**
+ * Ways to rank the leaderboard, mapped by the option used to pick them.
+ */
+const RANKINGS = {
+    games: {
+        title: 'Most Games Played',
+        score: stats => stats.gamesPlayed,
+        display: stats => `${stats.gamesPlayed} games`
+    },
+    survival: {
+        title: 'Best Survival Rate',
+        score: stats => stats.survivalRate,
+        display: stats => `${Math.round(stats.survivalRate * 100)}% of ${stats.gamesPlayed} games`
+    },
+    streak: {
+        title: 'Longest Survival Streak',
+        score: stats => stats.longestStreak,
+        display: stats => `${stats.longestStreak} games in a row`
+    },
+    deaths: {
+        title: 'Most Deaths',
+        score: stats => stats.deaths + stats.exiles,
+        display: stats => `${stats.deaths} killed, ${stats.exiles} exiled`
+    }
+};
+
+module.exports = new Command({
+    aliases: ['leaderboard', 'lb'],
+    args: [
+        Argument.choice('ranking', 'How to rank the players.', Object.entries(RANKINGS)
+            .map(([value, { title }]) => ({ value, name: title })))
+    ],
+    description: 'See the top players in this server.',
+    category: 'more',
+    handler: async function () {
+        // Load properties from the command context.
+        const { message, args } = this;
+        const guild = await this.requireGuild();
+
+        // Pick the ranking.
+        const ranking = RANKINGS[args.ranking ?? 'games'];
+
+        // Stats are stored by hashed id, so hash the known members to find out who they belong to.
+        // (Without the privileged members intent, only members the bot has seen recently are known.)
+        const membersByHash = new Map(guild.members.cache.map(member => [hashUserId(member.id), member]));
+
+        // Rank the players.
+        const allStats = await PlayerStats.loadGuild(guild.id);
+        const leaders = allStats
+            .filter(stats => stats.gamesPlayed)
+            .sort((a, b) => ranking.score(b) - ranking.score(a))
+            .slice(0, 10)
+            .map((stats, index) => {
+                // Anyone who isn't known is shown by their in-game name instead.
+                const member = membersByHash.get(stats.userHash);
+                const name = member ? `<@${member.id}>` : `_${stats.amongUsName ?? 'Someone'}_`;
+                return `**${index + 1}.** ${name}: ${ranking.display(stats)}`;
+            });
+
+        const embed = new MessageEmbed()
+            .setTitle(`Among Us - Leaderboard for ${guild.name}`)
+            .addField(ranking.title, leaders.join('\n') || "Nobody has finished a game here yet.");
+
+        return message.channel.send(embed);
+    }
+});
@@ -0,0 +1,33 @@
+const Command = require('.');
+const Argument = require('../arguments');
+
+module.exports = new Command({
+    aliases: ['host'],
+    args: [
+        Argument.member('player', 'The player to make the new host.')
+    ],
+    description: 'See who is hosting the lobby, or make someone else the host.',
+    examples: [
+        { args: '@tanner', description: 'Make @tanner the host of the lobby.' }
+    ],
+    category: 'more',
+    handler: async function () {
+        // Load properties from the command context.
+        const { message, args } = this;
+        const lobby = await this.requireLobby();
+
+        // Find the new host. (An at-mention, or 'me')
+        const target = args.player;
+
+        // If there's no new host, just say who the current one is.
+        if (!target) {
+            if (!lobby.hostId) return message.reply("This lobby doesn't have a host.");
+            return message.reply(`<@${lobby.hostId}> is hosting this lobby.`);
+        }
+
+        // Only the current host or a moderator can hand it off.
+        await this.requireHostOrModerator(lobby);
+        await lobby.transferHost(target);
+        await message.channel.send(`<@${target.id}> is now hosting the lobby.`);
+    }
+});
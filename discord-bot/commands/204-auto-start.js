@@ -0,0 +1,51 @@
+const Command = require('.');
+const GuildConfig = require('../../classes/GuildConfig');
+const Argument = require('../arguments');
+
+module.exports = new Command({
+    aliases: ['auto-start', 'autostart'],
+    args: [
+        Argument.choice('setting', 'Turn automatic lobbies on or off for your voice channel.', [
+            { value: 'on', name: 'On' },
+            { value: 'off', name: 'Off' }
+        ])
+    ],
+    description: 'Start lobbies automatically when someone joins your voice channel, posting updates here.',
+    examples: [
+        { args: 'on', description: 'Start a lobby whenever someone joins your voice channel.' }
+    ],
+    category: 'more',
+    handler: async function () {
+        // Load properties from the command context.
+        const { message, args, prefix, alias } = this;
+        const guild = await this.requireGuild();
+        const guildConfig = await GuildConfig.load(guild.id);
+
+        switch (args.setting) {
+            // Without an option, list the game channels.
+            case undefined:
+                const channelList = Object.entries(guildConfig.gameChannels)
+                    .map(([voiceChannelId, textChannelId]) => `\t- <#${voiceChannelId}> posts in <#${textChannelId}>`)
+                    .join('\n');
+                if (!channelList) {
+                    return message.reply(`No channels start lobbies automatically. Try \`${prefix} ${alias} on\`.`);
+                }
+                return message.reply(`These channels start lobbies automatically:\n${channelList}`);
+
+            case 'on':
+                await this.requireAdmin();
+                const textChannel = await this.requireTextChannel();
+                const voiceChannel = await this.requireVoiceChannel();
+                guildConfig.setGameChannel(voiceChannel.id, textChannel.id);
+                return message.reply(
+                    `Lobbies will start automatically in <#${voiceChannel.id}>, and post updates in <#${textChannel.id}>.`
+                );
+
+            case 'off':
+                await this.requireAdmin();
+                const { id: voiceChannelId } = await this.requireVoiceChannel();
+                guildConfig.removeGameChannel(voiceChannelId);
+                return message.reply(`Lobbies won't start automatically in <#${voiceChannelId}> anymore.`);
+        }
+    }
+});
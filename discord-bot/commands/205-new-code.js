@@ -0,0 +1,23 @@
+const Command = require('.');
+
+module.exports = new Command({
+    aliases: ['new-code', 'newcode'],
+    description: "Replace the lobby's connect code, disconnecting any captures using the old one.",
+    category: 'more',
+    handler: async function () {
+        // Load properties from the command context.
+        const { message } = this;
+        const lobby = await this.requireLobby();
+        await this.requireHostOrModerator(lobby);
+
+        await lobby.regenerateConnectCode();
+
+        // Send the new details privately, so the new code isn't leaked too.
+        await lobby.sendHostDetails(message.author);
+        await message.reply([
+            "I've replaced the lobby's connect code, and sent you the new one.",
+            "Overlays that are already open keep following the lobby, so they don't need to be reopened.",
+            "Old links won't work if they're opened again, though, and the dashboard needs the new link."
+        ].join('\n'));
+    }
+});
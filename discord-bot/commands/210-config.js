@@ -1,19 +1,27 @@
 const { MessageEmbed } = require('discord.js');
 const Command = require('.');
 const GuildConfig = require('../../classes/GuildConfig');
+const Argument = require('../arguments');
 
 module.exports = new Command({
     aliases: ['server-config', 'guild-config', 'config'],
+    args: [
+        Argument.choice('action', 'What to do with the settings.', GuildConfig.ACTIONS),
+        Argument.word('option', 'The setting to use.'),
+        Argument.text('value', 'The new value, when setting it.')
+    ],
     description: 'Adjust how the bot works in this server.',
+    details: 'Use it without any options to see all the settings, and what they do.',
+    examples: [
+        { args: 'set speech off', description: 'Stop the bot from speaking in the voice channel.' }
+    ],
     category: 'more',
     handler: async function () {
         // Load properties from the command context.
-        const { message, arguments, prefix, alias } = this;
+        const { message, args, prefix, alias } = this;
+        const { action, option: key, value } = args;
         const guild = await this.requireGuild();
 
-        const [accessor, key, ...remainder] = arguments.trim().split(/\s+/g);
-        const value = remainder?.join(' ');
-
         // Get the guild config.
         const guildConfig = await GuildConfig.load(guild.id);
         if (!guildConfig) throw new Error("I can't access the settings for this guild right now.");
@@ -22,10 +30,9 @@ module.exports = new Command({
         const cmd = `${prefix} ${alias} `;
 
         // Handle the command.
-        switch (accessor?.toLowerCase()) {
-            // If there's no accessor...
+        switch (action) {
+            // If there's no action...
             case undefined:
-            case '':
                 // Create an embed.
                 const embed = new MessageEmbed()
                     .setTitle('Silence Among Us - Server Configuration')
@@ -39,7 +46,7 @@ module.exports = new Command({
                 Object.entries(GuildConfig.SETTINGS).map(([key, { defaultValue, options, description }]) => {
                     if (!description) return;
                     const meta = [];
-                    if (defaultValue) meta.push(`_Default:_ \`${defaultValue}\``);
+                    if (defaultValue !== undefined) meta.push(`_Default:_ \`${defaultValue}\``);
                     if (options) meta.push(`_Options:_ ${options.map(option => `\`${option}\``).join(', ')}`);
                     embed.addField(key, `${meta.join('; ')}\n${description}`.trim());
                 });
@@ -48,9 +55,8 @@ module.exports = new Command({
                 await message.channel.send(embed);
                 break;
 
-            // If the accessor is 'get'...
+            // If the action is 'get'...
             case 'get':
-            case 'g':
                 if (!key) return message.reply(`You need to specify an option: \`${cmd}get <option>\``);
                 if (!GuildConfig.SETTINGS[key]) await message.reply("There's no setting for that.");
                 const gotSetting = guildConfig.get(key);
@@ -58,9 +64,9 @@ module.exports = new Command({
                 await message.reply(`Current \`${key}\` setting: \`${gotSetting.toString()}\`${defaultDisplay}`);
                 break;
 
-            // If the accessor is 'set'...
+            // If the action is 'set'...
             case 'set':
-            case 's':
+                await this.requireAdmin();
                 if (!key) return message.reply(`You need to specify an option: \`${cmd}set <option> <value>\``);
                 if (!value) throw new Error(`You need to specify a value: \`${cmd}set <option> <value>\``);
                 if (!GuildConfig.SETTINGS[key]) await message.reply("There's no setting for that.");
@@ -68,24 +74,14 @@ module.exports = new Command({
                 await message.reply(`Updated \`${key}\` setting: \`${setSetting.toString()}\``);
                 break;
 
-            // If the accessor is 'reset'...
+            // If the action is 'reset'...
             case 'reset':
-            case 'delete':
-            case 'r':
+                await this.requireAdmin();
                 if (!key) return message.reply(`You need to specify an option: \`${cmd}reset <option>\``);
                 if (!GuildConfig.SETTINGS[key]) await message.reply("There's no setting for that.");
                 const resSetting = guildConfig.reset(key);
                 await message.reply(`Reset \`${key}\` setting: \`${resSetting.toString()}\` (Default)`);
                 break;
-
-            // If the accessor is something else (or missing).
-            default:
-                await message.reply([
-                    'You need to use one of these:',
-                    `Get an option: \`${cmd}get <option>\``,
-                    `Set an option: \`${cmd}set <option> <value>\``,
-                    `Reset an option: \`${cmd}reset <option>\`.`
-                ].join('\n\t'));
         }
     }
 });
\ No newline at end of file
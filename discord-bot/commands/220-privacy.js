@@ -27,7 +27,8 @@ module.exports = new Command({
             "If this instance is hosted by somebody else, they may not necessarily follow the same guidelines."
         ].join('\n');
 
-        const commands = [require('./221-show-me'), require('./222-forget-me')]
+        const commands = Command.inCategory('privacy')
+            .filter(command => command !== module.exports)
             .map(command => `\t- ${command.toHelpText()}`)
             .join('\n');
 
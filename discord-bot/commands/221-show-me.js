@@ -1,10 +1,13 @@
 const Command = require('.');
 const Lobby = require('../../classes/Lobby');
+const PlayerStats = require('../../classes/PlayerStats');
 const UserConfig = require('../../classes/UserConfig');
 
 module.exports = new Command({
     aliases: ['show-me'],
     description: 'Get a copy of all information the bot has about you.',
+    details: "I'll send everything to you in a direct message.",
+    category: 'privacy',
     handler: async function () {
         // Load properties from the command context.
         const { message } = this;
@@ -15,9 +18,10 @@ module.exports = new Command({
         // Gather data.
         const discordId = message.author.id;
         const dataElements = [];
-        const [userConfigCheck, lobbyCheck] = await Promise.allSettled([
+        const [userConfigCheck, lobbyCheck, statsCheck] = await Promise.allSettled([
             UserConfig.load(discordId),
-            Lobby.gatherUserData(discordId)
+            Lobby.gatherUserData(discordId),
+            PlayerStats.gatherUserData(discordId)
             // Add more data sources here.
         ]);
         if (userConfigCheck.value?.isSaved) dataElements.push({
@@ -28,6 +32,10 @@ module.exports = new Command({
             source: 'An ongoing lobby',
             data: entry
         }));
+        if (statsCheck.value?.length) statsCheck.value.forEach(entry => dataElements.push({
+            source: 'Your stats in a server',
+            data: entry
+        }));
         // Process more data sources here.
 
         // Format the data.
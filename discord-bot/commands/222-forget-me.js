@@ -1,9 +1,12 @@
 const Command = require('.');
+const PlayerStats = require('../../classes/PlayerStats');
 const UserConfig = require('../../classes/UserConfig');
 
 module.exports = new Command({
     aliases: ['forget-me'],
     description: 'Erase all information the bot knows about you.',
+    details: "This includes your saved in-game name and your stats in every server. It can't be undone!",
+    category: 'privacy',
     handler: async function () {
         // Load properties from the command context.
         const { message } = this;
@@ -12,6 +15,9 @@ module.exports = new Command({
         const userConfig = await UserConfig.load(message.author.id);
         await userConfig.delete();
 
+        // Delete their stats, too.
+        await PlayerStats.deleteUserData(message.author.id);
+
         // Tell them it's done.
         message.reply([
             "Okay. I've forgotten everything I know about you.",
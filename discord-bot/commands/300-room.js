@@ -1,22 +1,30 @@
 const Command = require('.');
 const Room = require('../../classes/Room');
+const Argument = require('../arguments');
 
 module.exports = new Command({
     aliases: ['room'],
-    options: '< unlist | <code> [na|eu|asia] >',
+    args: [
+        Argument.roomCode('code', 'The new room code, or `unlist` to remove the current one.', {
+            required: true,
+            keywords: [{ value: 'unlist', aliases: ['remove', 'x'] }]
+        }),
+        Argument.region()
+    ],
     description: 'Update or remove the room code.',
+    examples: [
+        { args: 'abcdef eu', description: 'Change the room code, and set the region to Europe.' },
+        { args: 'unlist', description: 'Remove the room code from the lobby.' }
+    ],
     category: 'manual',
     handler: async function() {
         // Load properties from the command context.
-        const { arguments } = this;
+        const { args } = this;
         const lobby = await this.requireLobby();
 
-        // Get the room code.
-        const [code, region] = arguments.split(/\s+/g);
-        if (!code) throw new Error("You must provide a room code, or `unlist` to remove the current one.")
-
         // Update the room.
-        if (code.match(/^unlist|remove|x$/i)) lobby.room = null;
+        const { code, region } = args;
+        if (code === 'unlist') await lobby.updateRoom(null);
         else await lobby.updateRoom({ code, region });
     }
 });
\ No newline at end of file
@@ -3,6 +3,9 @@ const Command = require('.');
 module.exports = new Command({
     aliases: ['work', 'working', 'w'],
     description: 'Transition your lobby to the "working" phase.',
+    examples: [
+        { description: 'Start a new game, from intermission, or end a meeting.' }
+    ],
     category: 'manual',
     handler: async function() {
         // Load properties from the command context.
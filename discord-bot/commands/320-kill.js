@@ -1,19 +1,26 @@
 const Command = require('.');
+const Argument = require('../arguments');
 
 module.exports = new Command({
     aliases: ['kill', 'k', 'dead', 'd'],
-    options: '[me] [@mentions...]',
+    args: [
+        Argument.members('players', 'A player who died. (Pick yourself for `me`.)')
+    ],
     description: 'Mark players as being dead.',
+    examples: [
+        { args: 'me @tanner', description: 'Mark yourself and @tanner as dead. (Must be a real at-mention.)' }
+    ],
     category: 'manual',
     handler: async function() {
         // Load properties from the command context.
-        const { message, arguments } = this;
-        const lobby = await this.requireLobby();
+        const { message, args } = this;
+
+        // Players can always report their own death, even if the command is restricted.
+        const selfOnly = args.players.length > 0 && args.players.every(member => member.id === message.author.id);
+        const lobby = await this.requireLobby({ selfOnly });
 
         // Find and kill all the targets. (At-mentions, and 'me')
-        const targets = [...message.mentions.members.array()];
-        if (arguments.match(/\bme\b/i)) targets.push(message.member);
         // noinspection JSCheckFunctionSignatures
-        await lobby.guildMemberKill(...targets);
+        await lobby.guildMemberKill(...args.players);
     }
 });
\ No newline at end of file
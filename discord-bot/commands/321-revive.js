@@ -1,19 +1,20 @@
 const Command = require('.');
+const Argument = require('../arguments');
 
 module.exports = new Command({
     aliases: ['revive'],
-    options: '[me] [@mentions...]',
+    args: [
+        Argument.members('players', 'A player to bring back to life. (Pick yourself for `me`.)')
+    ],
     description: 'Mark players as being alive.',
     category: 'manual',
     handler: async function() {
         // Load properties from the command context.
-        const { message, arguments } = this;
+        const { args } = this;
         const lobby = await this.requireLobby();
 
         // Find and revive all the targets. (At-mentions, and 'me')
-        const targets = [...message.mentions.members.array()];
-        if (arguments.match(/\bme\b/i)) targets.push(message.member);
         // noinspection JSCheckFunctionSignatures
-        await lobby.guildMemberRevive(...targets);
+        await lobby.guildMemberRevive(...args.players);
     }
 });
\ No newline at end of file
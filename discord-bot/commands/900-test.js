@@ -1,13 +1,19 @@
 const Command = require('.');
+const Argument = require('../arguments');
 
 module.exports = new Command({
     aliases: ['test', 't'],
+    args: [
+        Argument.text('echo', 'Anything to repeat back.')
+    ],
+    description: 'Check that the bot is working, by repeating your message back.',
+    category: 'debug',
     handler: async function () {
         // Load properties from the command context.
-        const {prefix, alias, arguments} = this;
+        const {prefix, alias, args} = this;
 
         const textChannel = await this.requireTextChannel();
-        const echo = `${prefix} ${alias} ${arguments}`.trim();
+        const echo = `${prefix} ${alias} ${args.echo ?? ''}`.trim();
         textChannel.send(`I'm working in context! You said: \`${echo}\``);
     }
 });
\ No newline at end of file
@@ -2,6 +2,9 @@ const Command = require('.');
 
 module.exports = new Command({
     aliases: ['spoil'],
+    description: 'Re-post the lobby information, showing who is still alive.',
+    details: 'This spoils the game for anyone watching, so only use it when nobody is playing.',
+    category: 'debug',
     handler: async function() {
         // Load properties from the command context.
         const lobby = await this.requireLobby();
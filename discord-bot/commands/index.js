@@ -1,5 +1,34 @@
 const Lobby = require('../../classes/Lobby');
 const GuildConfig = require('../../classes/GuildConfig');
+const { OPTION_TYPE, registerSlashCommands } = require('../interactions');
+
+/**
+ * Discord limits the length of slash command and option descriptions.
+ */
+const MAX_SLASH_DESCRIPTION = 100;
+
+/**
+ * Shorten text to fit in a slash command description.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function toSlashDescription(text) {
+    return text.length > MAX_SLASH_DESCRIPTION ? `${text.slice(0, MAX_SLASH_DESCRIPTION - 3)}...` : text;
+}
+
+/**
+ * The sections of the help that commands are listed in, in the order they're shown.
+ * Hidden commands aren't listed in the help, or registered as slash commands.
+ */
+const CATEGORIES = {
+    core: { title: 'Important Commands' },
+    more: { title: 'Other Useful Commands' },
+    manual: { title: 'Manually Controlling Games' },
+    meta: { title: 'About the Bot' },
+    privacy: { title: 'Privacy & Data Security' },
+    debug: { title: 'Debugging', hidden: true }
+};
 
 /**
  * All commands, mapped by alias.
@@ -15,6 +44,7 @@ const commandsByAlias = new Map();
 const commands = new Set();
 
 class Command {
+    static get CATEGORIES() { return CATEGORIES; }
 
     /**
      * Find a command that matches.
@@ -34,6 +64,16 @@ class Command {
         return [...commands];
     }
 
+    /**
+     * Get a list of the commands in a category.
+     *
+     * @param {string} category - One of the keys of Command.CATEGORIES.
+     * @returns {Command[]}
+     */
+    static inCategory(category) {
+        return Command.all().filter(command => command.category === category);
+    }
+
     static async processMessage(message) {
         // Start with default prefixes.
         let commandPrefixes = ['!sau', '!s', ''];
@@ -74,16 +114,66 @@ class Command {
 
         // Execute the command in the appropriate context.
         const context = new CommandContext(command, message, prefix, alias, args ? args.trim() : '');
+        await context.parseArguments();
         return command.handler.bind(context)();
     }
 
-    constructor({ aliases, handler, options, description, category }) {
+    /**
+     * Run the command for a slash command or button.
+     *
+     * @param {InteractionMessage} message - The interaction, standing in for a message.
+     * @returns {Promise<void>}
+     */
+    static async processInteraction(message) {
+        // Acknowledge the interaction, before Discord gives up on it.
+        await message.prepare();
+
+        // Ignore interactions that aren't for commands.
+        const { instruction } = message;
+        if (!instruction) return;
+
+        // Find the appropriate command.
+        const command = Command.find(instruction.alias);
+        if (!command) throw new Error(`Sorry, I don't recognize \`${instruction.alias}\`.`);
+
+        // Slash commands have typed options, which are turned into arguments like the ones typed in messages.
+        const args = typeof instruction.args === 'string'
+            ? instruction.args
+            : command.parseSlashOptions(instruction.args);
+
+        // Use the guild's default prefix for any command hints.
+        const prefix = message.guild ? (await GuildConfig.load(message.guild.id)).defaultPrefix : '!sau';
+
+        // Execute the command in the appropriate context.
+        const context = new CommandContext(command, message, prefix, instruction.alias, args.trim());
+        await context.parseArguments();
+        return command.handler.bind(context)();
+    }
+
+    /**
+     * Register every command that isn't hidden as a slash command.
+     * @returns {Promise<void>}
+     */
+    static async registerSlashCommands() {
+        const slashCommands = Command.all()
+            .filter(command => !command.hidden)
+            .map(command => command.toSlashCommand());
+        await registerSlashCommands(slashCommands);
+    }
+
+    constructor({ aliases, handler, args = [], description, details, examples = [], category }) {
         // Store all the aliases in lowercase.
         this.aliases = aliases.map(alias => alias.toLowerCase());
 
-        // Store the help information.
-        this.options = options;
+        // Store the arguments the command expects.
+        this.args = args;
+
+        // Store the help information. Every command needs a description, and a category to list it in.
+        if (!description) throw new Error(`Command ${this.name} needs a description.`);
+        if (!CATEGORIES[category]) throw new Error(`Command ${this.name} has an unknown category: ${category}`);
         this.description = description;
+        this.details = details;
+        this.examples = examples;
         this.category = category;
 
         // Map all aliases, forbidding duplicates.
@@ -96,12 +186,83 @@ class Command {
         this.handler = handler;
     }
 
+    /**
+     * The primary name of the command. (Its first alias.)
+     * @returns {string}
+     */
+    get name() {
+        return this.aliases[0];
+    }
+
+    /**
+     * Identifies whether the command is left out of the help listings and slash commands.
+     * @returns {boolean}
+     */
+    get hidden() {
+        return Boolean(CATEGORIES[this.category].hidden);
+    }
+
+    /**
+     * How to write the command's arguments, like `[room code] [na|eu|asia]`.
+     * @returns {string}
+     */
+    get usage() {
+        return this.args.map(argument => argument.toUsage()).join(' ');
+    }
+
+    /**
+     * The options of the command's slash command.
+     * @returns {object[]}
+     */
+    get slashOptions() {
+        return this.args.flatMap(argument => argument.toSlashOptions());
+    }
+
     toHelpText() {
-        const { aliases, description, options = '' } = this;
-        if (!description) return;
-        const usage = `${aliases.join('|')} ${options}`.trim();
+        const { aliases, description } = this;
+        const usage = `${aliases.join('|')} ${this.usage}`.trim();
         return `\`${usage}\`: ${description}`;
     }
+
+    /**
+     * Describe each of the command's examples.
+     *
+     * @param {string} prefix - The command prefix to show.
+     * @returns {string[]}
+     */
+    toExampleTexts(prefix) {
+        return this.examples.map(({ args = '', description }) => {
+            return `\`${`${prefix} ${this.name} ${args}`.trim()}\`: ${description}`;
+        });
+    }
+
+    /**
+     * The definition of the command's slash command, for registering with Discord.
+     * @returns {object}
+     */
+    toSlashCommand() {
+        const { name, description, slashOptions } = this;
+        return { name, description: toSlashDescription(description), options: slashOptions };
+    }
+
+    /**
+     * Turn the options of a slash command into arguments, like the ones typed after a command in a message.
+     *
+     * @param {object[]} options - Options provided with the slash command.
+     * @returns {string}
+     */
+    parseSlashOptions(options) {
+        return this.slashOptions
+            .map(({ name, type }) => {
+                const { value } = options.find(option => option.name === name) ?? {};
+                if (value === undefined) return '';
+
+                // Users become mentions.
+                return type === OPTION_TYPE.USER ? `<@${value}>` : `${value}`;
+            })
+            .filter(arg => arg)
+            .join(' ');
+    }
 }
 
 module.exports = Command;
@@ -113,6 +274,38 @@ class CommandContext {
         this.prefix = prefix;
         this.alias = alias;
         this.arguments = args;
+
+        /**
+         * The values of the command's arguments, mapped by name. (Available once they've been parsed.)
+         * @type {object}
+         */
+        this.args = {};
+    }
+
+    /**
+     * Parse the arguments the command expects out of the text after the alias.
+     * If they don't make sense, throws an error explaining how to use the command.
+     *
+     * @returns {Promise<object>} - The values of the arguments, mapped by name.
+     */
+    async parseArguments() {
+        const { command, message, prefix, alias } = this;
+
+        // Commands without arguments ignore any extra text.
+        if (!command.args.length) return this.args;
+
+        try {
+            let text = this.arguments;
+            for (const argument of command.args) {
+                const { value, rest } = await argument.parse(text, message);
+                this.args[argument.name] = value;
+                text = rest;
+            }
+            if (text) throw new Error(`I don't know what to do with \`${text}\`.`);
+        } catch (error) {
+            throw new Error(`${error.message}\nUsage: \`${`${prefix} ${alias} ${command.usage}`.trim()}\``);
+        }
+        return this.args;
     }
 
     /**
@@ -149,6 +342,21 @@ class CommandContext {
         return this.message.channel;
     }
 
+    /**
+     * Requires that the sender of the given message can manage the bot's settings for the guild.
+     * That means they either have the MANAGE_GUILD permission, or the guild's admin role.
+     * If not, throws an error.
+     *
+     * @returns {Promise<Discord.GuildMember>}
+     */
+    async requireAdmin() {
+        const member = await this.requireGuildMember();
+        const { adminRoleId } = await GuildConfig.load(member.guild.id);
+        const isAdmin = member.hasPermission('MANAGE_GUILD') || (adminRoleId && member.roles.cache.has(adminRoleId));
+        if (!isAdmin) throw new Error("Sorry, only server admins can do that.");
+        return member;
+    }
+
     /**
      * Requires that the sender of the given message is currently in a voice channel.
      * If not, throws an error.
@@ -163,17 +371,43 @@ class CommandContext {
     }
 
     /**
-     * Requires that the sender of the given message is currently in a tracked lobby.
+     * Requires that the sender of the given message is currently in a tracked lobby. (Or its ghost channel, if dead.)
+     * If the guild has restricted this command, also requires that the sender is the lobby's host or a moderator.
      * If not, throws an error which will be sent as a reply.
      *
+     * @param {object} [options]
+     * @param {boolean} [options.selfOnly] - The command only affects the sender, so it isn't restricted.
      * @returns {Promise<Lobby>}
      */
-    async requireLobby() {
+    async requireLobby({ selfOnly = false } = {}) {
         const voiceChannel = await this.requireVoiceChannel();
-        const lobby = await Lobby.findByVoiceChannel(voiceChannel);
+
+        // Dead players may have been moved to the lobby's ghost channel.
+        const lobby = await Lobby.findByVoiceChannel(voiceChannel)
+            ?? await Lobby.findByGhostChannel(voiceChannel.id, await this.requireGuildMember());
         if (!lobby) throw new Error(`There's not a lobby for your voice channel. Try \`${this.prefix} start\`!`);
+
+        // Enforce any restrictions on the command.
+        const guildConfig = await lobby.getGuildConfig();
+        if (!selfOnly && guildConfig.isRestricted(this.command.name)) await this.requireHostOrModerator(lobby);
+
         return lobby;
     }
+
+    /**
+     * Requires that the sender of the given message is the host of the lobby or a moderator.
+     * If not, throws an error which will be sent as a reply.
+     *
+     * @param {Lobby} lobby
+     * @returns {Promise<Discord.GuildMember>}
+     */
+    async requireHostOrModerator(lobby) {
+        const member = await this.requireGuildMember();
+        if (!await lobby.isHostOrModerator(member)) {
+            throw new Error(`Only the lobby's host (<@${lobby.hostId}>) or a moderator can do that.`);
+        }
+        return member;
+    }
 }
 
 // Load all commands automatically.
@@ -10,11 +10,14 @@ const { Client, Intents } = require('discord.js');
 const client = new Client({
     token: process.env.DISCORD_TOKEN,
     retryLimit: 3,
+    // Reaction controls need reactions to info posts that have dropped out of the message cache.
+    partials: ['USER', 'MESSAGE', 'REACTION'],
     ws: {
         intents: new Intents([
             'GUILDS',
             'GUILD_VOICE_STATES',
             'GUILD_MESSAGES',
+            'GUILD_MESSAGE_REACTIONS',
             'DIRECT_MESSAGES'
         ])
     },
@@ -39,7 +42,9 @@ module.exports = { client, clientReady, getGuildCount, getGuildList };
 // ==== It's now safe to require other modules. ====
 
 const Command = require('./commands');
+const { InteractionMessage } = require('./interactions');
 const Lobby = require('../classes/Lobby');
+const VoiceEditQueue = require('../classes/VoiceEditQueue');
 
 client.on('error', (error) => {
     // TODO Use a better logger.
@@ -58,7 +63,9 @@ client.on('invalidated', () => {
 
 client.on('rateLimit', (rateLimitInfo) => {
     console.error('Rate Limited:', rateLimitInfo);
-    // TODO Identify and retry the failed command.
+
+    // The client retries the request itself, but voice edits should hold off until the limit resets.
+    VoiceEditQueue.handleRateLimit(rateLimitInfo);
 });
 
 client.on('message', (message) => {
@@ -71,6 +78,30 @@ client.on('message', (message) => {
     });
 });
 
+client.on('raw', ({ t: event, d: interaction }) => {
+    // Slash commands and buttons aren't supported by this version of discord.js, so they're handled as raw events.
+    if (event !== 'INTERACTION_CREATE') return;
+
+    const message = new InteractionMessage(interaction);
+    Command.processInteraction(message)
+        .catch(async error => {
+            console.error(error);
+            await message.reply(error.message || "Something went wrong.");
+        })
+        .then(() => message.finish())
+        .catch(error => console.error(error));
+});
+
+// Once connected, keep the slash commands up to date with the command definitions.
+clientReady
+    .then(() => Command.registerSlashCommands())
+    .catch(error => console.error('Failed to register slash commands:', error));
+
+client.on('messageReactionAdd', (reaction, user) => {
+    // Let players control lobbies by reacting to the info post.
+    Lobby.handleReaction(reaction, user).catch(error => console.error(error));
+});
+
 client.on('messageUpdate', (oldMessage, newMessage) => {
     // TODO Consider handling message updates to allow commands to be fixed.
 });
@@ -84,10 +115,14 @@ client.on('voiceStateUpdate', (oldPresence, newPresence) => {
     // Ignore bots and any updates that don't involve changing channels.
     if (member.user.bot || oldChannelId === newChannelId) return;
 
+    // Ignore moves the bot made itself, between a lobby and its ghost channel.
+    if (Lobby.consumeExpectedMove(member.id, newChannelId)) return;
+
     const moveLobbies = async () => {
-        // Determine if a player is joining/leaving a game.
+        // Determine if a player is joining/leaving a game. (Dead players may be leaving from a lobby's ghost channel.)
         const [oldLobby, newLobby] = await Promise.all([
-            Lobby.findByVoiceChannel(oldChannelId),
+            Lobby.findByVoiceChannel(oldChannelId)
+                .then(lobby => lobby ?? Lobby.findByGhostChannel(oldChannelId, member)),
             Lobby.findByVoiceChannel(newChannelId)
         ]);
 
@@ -96,6 +131,9 @@ client.on('voiceStateUpdate', (oldPresence, newPresence) => {
 
         // If they're going into a new lobby, connect them to it.
         if (newLobby) await newLobby.guildMemberConnected(member);
+
+        // If they're going into a game channel without a lobby, start one.
+        else if (newPresence.channel) await Lobby.autoStart(newPresence.channel, member);
     };
     moveLobbies().catch(error => console.error(error));
 });
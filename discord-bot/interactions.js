@@ -0,0 +1,234 @@
+const { Collection, MessageEmbed } = require('discord.js');
+const { client } = require('./discord-bot');
+
+/*
+ * NOTE: This version of discord.js predates slash commands and buttons, so interactions arrive as raw gateway packets
+ * and are answered through the client's REST router. Interactions need a newer API version than the client uses.
+ */
+const API_VERSION = 8;
+
+const INTERACTION_TYPE = {
+    APPLICATION_COMMAND: 2,
+    MESSAGE_COMPONENT: 3
+};
+
+const RESPONSE_TYPE = {
+    // Shows "Thinking..." until the response is edited.
+    DEFERRED_CHANNEL_MESSAGE: 5,
+    // Acknowledges a button press without changing the message.
+    DEFERRED_UPDATE_MESSAGE: 6
+};
+
+const OPTION_TYPE = {
+    STRING: 3,
+    INTEGER: 4,
+    BOOLEAN: 5,
+    USER: 6,
+    CHANNEL: 7,
+    ROLE: 8
+};
+
+const COMPONENT_TYPE = {
+    ACTION_ROW: 1,
+    BUTTON: 2
+};
+
+const BUTTON_STYLE = {
+    PRIMARY: 1,
+    SECONDARY: 2,
+    SUCCESS: 3,
+    DANGER: 4
+};
+
+/**
+ * Flag for messages only the user who triggered the interaction can see.
+ */
+const EPHEMERAL = 1 << 6;
+
+/**
+ * Buttons that run commands have IDs like `command:kill me`.
+ */
+const COMMAND_BUTTON_PATTERN = /^command:(?<alias>\S+)(?:\s+(?<args>.+))?$/;
+
+/**
+ * Get the REST router for the interactions API version.
+ */
+function api() {
+    return client.api[`v${API_VERSION}`];
+}
+
+/**
+ * Replace the bot's global slash commands.
+ *
+ * @param {object[]} commands - Application command definitions.
+ * @returns {Promise<void>}
+ */
+async function registerSlashCommands(commands) {
+    await api().applications(client.user.id).commands.put({ data: commands, versioned: false });
+    console.log(`Registered ${commands.length} slash commands.`);
+}
+
+/**
+ * Create a button which runs a command when pressed.
+ *
+ * @param {string} label - Text on the button.
+ * @param {string} instruction - The command to run, with any arguments. (Like `kill me`.)
+ * @param {object} [options]
+ * @param {number} [options.style] - One of the values of BUTTON_STYLE.
+ * @param {boolean} [options.disabled]
+ * @returns {object}
+ */
+function commandButton(label, instruction, { style = BUTTON_STYLE.SECONDARY, disabled = false } = {}) {
+    return { type: COMPONENT_TYPE.BUTTON, style, label, custom_id: `command:${instruction}`, disabled };
+}
+
+/**
+ * Build the message content for an embed, with rows of buttons under it.
+ *
+ * @param {Discord.MessageEmbed} embed
+ * @param {object[][]} buttonRows - Up to 5 rows, of up to 5 buttons each.
+ * @returns {object}
+ */
+function toMessageData(embed, buttonRows) {
+    const components = buttonRows.map(buttons => ({ type: COMPONENT_TYPE.ACTION_ROW, components: buttons }));
+    return { embed: embed.toJSON(), components };
+}
+
+/**
+ * Send an embed to a text channel, with rows of buttons under it.
+ *
+ * @param {Discord.TextChannel} textChannel
+ * @param {Discord.MessageEmbed} embed
+ * @param {object[][]} buttonRows - Up to 5 rows, of up to 5 buttons each.
+ * @returns {Promise<Discord.Message>}
+ */
+async function sendWithButtons(textChannel, embed, buttonRows) {
+    const data = await api().channels(textChannel.id).messages.post({
+        data: toMessageData(embed, buttonRows),
+        versioned: false
+    });
+    return textChannel.messages.add(data);
+}
+
+/**
+ * Replace the embed and buttons of a message the bot sent.
+ *
+ * @param {Discord.Message} message
+ * @param {Discord.MessageEmbed} embed
+ * @param {object[][]} buttonRows - Up to 5 rows, of up to 5 buttons each. (Empty to remove the buttons.)
+ * @returns {Promise<Discord.Message>}
+ */
+async function editWithButtons(message, embed, buttonRows) {
+    const data = await api().channels(message.channel.id).messages(message.id).patch({
+        data: toMessageData(embed, buttonRows),
+        versioned: false
+    });
+    return message.channel.messages.add(data);
+}
+
+/**
+ * Stands in for a `Discord.Message`, so interactions can be handled by the same commands as messages.
+ *
+ * Replies are only shown to the user who triggered the interaction.
+ */
+class InteractionMessage {
+    /**
+     * @param {object} interaction - The raw interaction, from an `INTERACTION_CREATE` gateway event.
+     */
+    constructor(interaction) {
+        this.interaction = interaction;
+        this.id = interaction.id;
+        this.deletable = false;
+        this.guild = interaction.guild_id ? client.guilds.cache.get(interaction.guild_id) ?? null : null;
+        this.member = null;
+        // Mentioned members are found through the command's arguments instead.
+        this.mentions = { members: this.guild ? new Collection() : null };
+        this._repliesSent = 0;
+    }
+
+    get isSlashCommand() {
+        return this.interaction.type === INTERACTION_TYPE.APPLICATION_COMMAND;
+    }
+
+    get isButton() {
+        return this.interaction.type === INTERACTION_TYPE.MESSAGE_COMPONENT;
+    }
+
+    /**
+     * The command this interaction should run.
+     * @returns {{alias: string, args: object|string}|null} - Slash commands have their options, buttons have a string.
+     */
+    get instruction() {
+        const { data } = this.interaction;
+        if (this.isSlashCommand) return { alias: data.name, args: data.options ?? [] };
+        if (this.isButton) {
+            const match = data.custom_id?.match(COMMAND_BUTTON_PATTERN);
+            if (match) return { alias: match.groups.alias, args: match.groups.args ?? '' };
+        }
+        return null;
+    }
+
+    /**
+     * Acknowledge the interaction, then load everything a command might need.
+     * Discord only waits a few seconds for the acknowledgement, so this must happen first.
+     *
+     * @returns {Promise<void>}
+     */
+    async prepare() {
+        const { id, token, channel_id: channelId, member, user } = this.interaction;
+
+        // Slash commands show that the bot is thinking. Buttons just stop spinning.
+        const data = this.isSlashCommand
+            ? { type: RESPONSE_TYPE.DEFERRED_CHANNEL_MESSAGE, data: { flags: EPHEMERAL } }
+            : { type: RESPONSE_TYPE.DEFERRED_UPDATE_MESSAGE };
+        await api().interactions(id)(token).callback.post({ data, versioned: false });
+
+        // Load the channel, and the user who triggered the interaction.
+        const userId = member?.user.id ?? user.id;
+        [this.channel, this.author, this.member] = await Promise.all([
+            client.channels.fetch(channelId),
+            client.users.fetch(userId),
+            this.guild?.members.fetch(userId)
+        ]);
+    }
+
+    /**
+     * Reply privately to the user who triggered the interaction.
+     *
+     * @param {string|Discord.MessageEmbed} content
+     * @returns {Promise<void>}
+     */
+    async reply(content) {
+        const data = content instanceof MessageEmbed ? { embeds: [content.toJSON()] } : { content: `${content}` };
+        const webhook = api().webhooks(client.user.id)(this.interaction.token);
+
+        // The first reply to a slash command replaces the "thinking" message. Anything else is a follow-up.
+        if (this.isSlashCommand && !this._repliesSent) {
+            await webhook.messages('@original').patch({ data, auth: false, versioned: false });
+        }
+        else await webhook.post({ data: { ...data, flags: EPHEMERAL }, auth: false, versioned: false });
+        this._repliesSent++;
+    }
+
+    /**
+     * Clean up after the command is finished.
+     * @returns {Promise<void>}
+     */
+    async finish() {
+        // If a slash command didn't reply, remove the "thinking" message.
+        if (this.isSlashCommand && !this._repliesSent) {
+            await api().webhooks(client.user.id)(this.interaction.token).messages('@original')
+                .delete({ auth: false, versioned: false });
+        }
+    }
+}
+
+module.exports = {
+    OPTION_TYPE,
+    BUTTON_STYLE,
+    InteractionMessage,
+    registerSlashCommands,
+    commandButton,
+    sendWithButtons,
+    editWithButtons
+};
@@ -1,5 +1,6 @@
 module.exports = {
     discord: require('./discord-bot/discord-bot'),
     server: require('./api-server/app'),
-    capture: require('./capture/socket')
+    capture: require('./capture/socket'),
+    overlay: require('./overlay/socket')
 }
\ No newline at end of file
@@ -10,6 +10,9 @@ const ajv = new Ajv({
     nullable: true
 });
 
+// Register the API schema, so validators can reference its components.
+ajv.addSchema(require('./loadSchema'), 'schema.yaml');
+
 /**
  * Generates a validation function against the given schema.
  *
@@ -26,7 +29,7 @@ module.exports = function getValidator(name, schema) {
     const validate = function validate(object) {
         const valid = validator(object);
         if (!valid) {
-            const errors = validator.errors.map(error => error.message);
+            const errors = validator.errors.map(error => `${name}${error.dataPath} ${error.message}`);
             throw new Error(`Invalid ${name}: \n- ${errors.join('\n- ')}`);
         }
     }
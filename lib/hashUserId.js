@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+/**
+ * Generates an anonymized identifier for a Discord user.
+ *
+ * Records about users are stored under this hash instead of the raw Discord ID. Anyone who knows the ID can still find
+ * their records, but the records can't be traced back to the user on their own.
+ *
+ * @param {string} userId - Discord ID of the user.
+ * @returns {string}
+ */
+module.exports = function hashUserId(userId) {
+    if (!userId || typeof userId !== 'string') throw new Error("Can't hash a missing user id.");
+    return crypto
+        .createHash('sha256')
+        .update(userId)
+        .digest('hex');
+};
@@ -0,0 +1,51 @@
+/**
+ * Tasks to run before the process exits.
+ * @type {Set<function(): Promise<void>>}
+ */
+const tasks = new Set();
+
+/**
+ * How long to wait for the tasks to finish before exiting anyway.
+ */
+const SHUTDOWN_TIMEOUT = 8000;
+
+let shuttingDown = false;
+
+/**
+ * Run all the shutdown tasks, then exit.
+ *
+ * @param {string} signal - The signal that triggered the shutdown.
+ */
+function shutdown(signal) {
+    // Only shut down once, even if more signals arrive.
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`Received ${signal}. Shutting down...`);
+
+    // Don't let a stuck task prevent the shutdown.
+    setTimeout(() => {
+        console.error('Shutdown tasks took too long. Exiting anyway.');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT).unref();
+
+    Promise.allSettled([...tasks].map(task => task()))
+        .then(results => {
+            results
+                .filter(({ status }) => status === 'rejected')
+                .forEach(({ reason }) => console.error('Shutdown task failed:', reason));
+            console.log('Shutdown complete.');
+            process.exit(0);
+        });
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
+/**
+ * Register a task to run when the process is shutting down gracefully.
+ *
+ * @param {function(): Promise<void>} task
+ */
+module.exports = function onShutdown(task) {
+    tasks.add(task);
+};
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+/**
+ * Compares a token provided by a client with the expected one, in constant time.
+ *
+ * Comparing secrets with `===` can leak how much of the token was right through the time it takes, so this should be
+ * used for any token that guards access to a lobby.
+ *
+ * @param {string} provided - Token provided by the client.
+ * @param {string} expected - The actual token.
+ * @returns {boolean} - Whether the tokens match.
+ */
+module.exports = function tokensMatch(provided, expected) {
+    if (typeof provided !== 'string' || typeof expected !== 'string' || !expected) return false;
+    const providedBuffer = Buffer.from(provided);
+    const expectedBuffer = Buffer.from(expected);
+    if (providedBuffer.length !== expectedBuffer.length) return false;
+    return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
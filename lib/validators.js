@@ -0,0 +1,14 @@
+const getSchemaValidator = require('./getSchemaValidator');
+const { components: { schemas } } = require('./loadSchema');
+
+/**
+ * Validation functions for each of the component schemas in the API schema, mapped by component name.
+ *
+ * Each function will throw an error if the given object doesn't match the component.
+ *
+ * @type {Object<string, function(object): void>}
+ */
+module.exports = Object.keys(schemas).reduce((validators, name) => {
+    validators[name] = getSchemaValidator(name, { $ref: `schema.yaml#/components/schemas/${name}` });
+    return validators;
+}, {});
@@ -0,0 +1,58 @@
+const io = require('../capture/socket');
+const Lobby = require('../classes/Lobby');
+const tokensMatch = require('../lib/tokensMatch');
+
+/**
+ * Lobby events forwarded to overlay clients.
+ */
+const EVENTS = [
+    'phase',
+    'playerJoin',
+    'playerLeave',
+    'playerDisconnect',
+    'playerReconnect',
+    'death',
+    'revive',
+    'room',
+    'capture',
+    'connectCodeChanged',
+    'gameOver',
+    'taskProgress',
+    'stopped'
+];
+
+// Overlays get their own namespace, separate from the capture clients.
+const overlay = io.of('/overlay');
+
+// Overlays identify their lobby with the connect code and API token, passed in the connection query.
+overlay.use((client, next) => {
+    const { connectCode, token } = client.handshake.query;
+    Lobby.findByConnectCode(connectCode)
+        .then(lobby => {
+            if (!lobby) throw new Error(`No matching lobby for connect code: ${connectCode}`);
+            if (!tokensMatch(token, lobby.apiToken)) throw new Error('A valid API token is required to follow this lobby.');
+            client.connectCode = connectCode;
+            client.voiceChannelId = lobby.voiceChannel.id;
+            next();
+        })
+        .catch(error => next(error));
+});
+
+overlay.on('connection', client => {
+    const { connectCode } = client;
+    console.log(`SocketIO: Overlay connected for ${connectCode}`);
+
+    // Follow the lobby's updates, and start with its current state.
+    // (Rooms are named after the voice channel, which doesn't change if the connect code is regenerated.)
+    client.join(client.voiceChannelId);
+    Lobby.findByConnectCode(connectCode)
+        .then(lobby => lobby && client.emit('lobby', lobby.toAPI()))
+        .catch(error => console.error(error));
+});
+
+// Forward lobby events to the overlays following that lobby, along with the lobby's new state.
+EVENTS.forEach(event => Lobby.events.on(event, (lobby, details) => {
+    overlay.to(lobby.voiceChannel.id).emit(event, { ...details, lobby: lobby.toAPI() });
+}));
+
+module.exports = overlay;